@@ -0,0 +1,158 @@
+/**
+ * WIRED APPROVALS - Human sign-off for TARS tool calls
+ *
+ * With approvals on, Claude runs with --permission-prompt-tool instead of
+ * --dangerously-skip-permissions: before a call that needs permission it
+ * asks the gateway's approve_tool, which opens a request here over the
+ * daemon API and long-polls until it is decided.
+ *
+ * A request is decided by a policy "approve" entry (immediately), by a
+ * person pressing Approve/Deny in #N-tars, or by the timeout. Every decision
+ * is appended to approvals.jsonl:
+ *
+ *   { ts, id, session_id, tool_use_id, tool, input, decision, by, reason, wait_ms }
+ *
+ * decision: allow | deny. by: rule:<name> | discord:<user> | timeout | closed
+ */
+
+import fs from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { clipValue } from './toolaudit.js';
+
+export const APPROVAL_DECISIONS = ['allow', 'deny'];
+
+// Decided requests kept for late polls from the gateway
+const DECIDED_KEPT = 100;
+
+/**
+ * @param {string} filePath - approvals.jsonl in the instance data dir
+ * @param {object} opts
+ * @param {number} opts.timeoutMs - undecided requests are settled after this long
+ * @param {'allow'|'deny'} opts.timeoutAction
+ * @param {(request) => void} [opts.onDecided] - e.g. update the Discord prompt
+ */
+export function createApprovals(filePath, { timeoutMs, timeoutAction = 'deny', onDecided = () => {} }) {
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+
+    const requests = new Map(); // id -> request, pending and recently decided
+    const waiters = new Map(); // id -> Set of resolve callbacks
+    const counts = { requested: 0, allowed: 0, denied: 0, timed_out: 0 };
+
+    function append(record) {
+        try {
+            fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+        } catch (e) {
+            console.error(`[APPROVALS] Write failed: ${e.message}`);
+        }
+    }
+
+    function forget() {
+        const decided = [...requests.values()].filter(r => r.decision);
+        for (const request of decided.slice(0, -DECIDED_KEPT)) requests.delete(request.id);
+    }
+
+    /** Open a request: { tool, input, tool_use_id, session_id }. */
+    function request({ tool, input = {}, tool_use_id = null, session_id = null }) {
+        counts.requested++;
+        const entry = {
+            id: randomUUID(),
+            tool,
+            input,
+            tool_use_id,
+            session_id,
+            requested_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + timeoutMs).toISOString(),
+            decision: null,
+            by: null,
+            reason: null,
+        };
+        entry.timer = setTimeout(() => decide(entry.id, timeoutAction, 'timeout', `no answer within ${Math.round(timeoutMs / 1000)}s`), timeoutMs);
+        entry.timer.unref?.();
+        requests.set(entry.id, entry);
+        return view(entry);
+    }
+
+    /** Settle a pending request. Returns it, or null if unknown or already decided. */
+    function decide(id, decision, by, reason = null) {
+        const entry = requests.get(id);
+        if (!entry || entry.decision) return null;
+        if (!APPROVAL_DECISIONS.includes(decision)) throw new Error(`Unknown decision: ${decision}`);
+
+        clearTimeout(entry.timer);
+        entry.decision = decision;
+        entry.by = by;
+        entry.reason = reason;
+        entry.decided_at = new Date().toISOString();
+        counts[decision === 'allow' ? 'allowed' : 'denied']++;
+        if (by === 'timeout') counts.timed_out++;
+
+        append({
+            ts: entry.decided_at,
+            id,
+            session_id: entry.session_id,
+            tool_use_id: entry.tool_use_id,
+            tool: entry.tool,
+            input: clipValue(entry.input),
+            decision,
+            by,
+            reason,
+            wait_ms: Date.parse(entry.decided_at) - Date.parse(entry.requested_at),
+        });
+
+        for (const resolve of waiters.get(id) || []) resolve(view(entry));
+        waiters.delete(id);
+        forget();
+        onDecided(view(entry));
+        return view(entry);
+    }
+
+    /** The request once decided, or as it stands after `ms` / an abort. */
+    function wait(id, ms, signal) {
+        const entry = requests.get(id);
+        if (!entry || entry.decision || ms <= 0) return Promise.resolve(entry ? view(entry) : null);
+
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                waiters.get(id)?.delete(finish);
+                resolve(view(entry));
+            };
+            const finish = (result) => {
+                clearTimeout(timer);
+                resolve(result);
+            };
+            const timer = setTimeout(done, ms);
+            signal?.addEventListener('abort', done, { once: true });
+            if (!waiters.has(id)) waiters.set(id, new Set());
+            waiters.get(id).add(finish);
+        });
+    }
+
+    /** Deny everything still pending (session ended, instance stopping). */
+    function closeAll(reason) {
+        for (const entry of [...requests.values()]) {
+            if (!entry.decision) decide(entry.id, 'deny', 'closed', reason);
+        }
+    }
+
+    function view(entry) {
+        const { timer, ...rest } = entry;
+        return rest;
+    }
+
+    function get(id) {
+        const entry = requests.get(id);
+        return entry ? view(entry) : null;
+    }
+
+    function pending() {
+        return [...requests.values()].filter(r => !r.decision).map(view);
+    }
+
+    function stats() {
+        return { path: filePath, pending: pending().length, ...counts };
+    }
+
+    return { request, decide, wait, get, pending, closeAll, stats };
+}
@@ -0,0 +1,155 @@
+/**
+ * WIRED ARCHIVE - Keep an instance's channel history when it shuts down
+ *
+ * Before #N-tars and #N-romilly are deleted (or moved to the ARCHIVE
+ * category), their full history is exported to
+ *
+ *   <dataDir>/instance-N/archive/<stamp>/
+ *     manifest.json              instance, host, reason, per-channel counts
+ *     N-tars.json / N-tars.md    every message, oldest first
+ *     attachments/<channel>/     downloaded files, linked from both formats
+ *
+ * An attachment that could not be downloaded (failed, or larger than
+ * maxAttachmentBytes) makes the archive incomplete (`complete: false`):
+ * its only copy is on Discord's CDN and goes when the channel is deleted.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { downloadAttachment, safeFileName } from './attachments.js';
+import { messageRecord } from './history.js';
+
+const PAGE_SIZE = 100; // Discord's maximum per fetch
+
+/** Every message in the channel, oldest first. */
+async function fetchAllMessages(channel) {
+    const messages = [];
+    let before;
+    for (;;) {
+        const page = await channel.messages.fetch({ limit: PAGE_SIZE, ...(before ? { before } : {}) });
+        if (page.size === 0) break;
+        messages.push(...page.values());
+        before = page.lastKey(); // Pages come newest first
+        if (page.size < PAGE_SIZE) break;
+    }
+    return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+function toMarkdown(channelName, instanceNumber, records, archivedAt) {
+    const lines = [
+        `# #${channelName} - WIRED #${instanceNumber}`,
+        '',
+        `Archived ${archivedAt} on ${os.hostname()} · ${records.length} messages`,
+        '',
+    ];
+    for (const r of records) {
+        lines.push('---', '', `**${r.author.username}**${r.author.bot ? ' [bot]' : ''} · ${r.timestamp}${r.edited_timestamp ? ' (edited)' : ''}`, '');
+        if (r.content) lines.push(r.content, '');
+        for (const e of r.embeds) {
+            lines.push(`> **${e.title || 'Embed'}**${e.description ? `\n> ${e.description.replace(/\n/g, '\n> ')}` : ''}`, '');
+        }
+        for (const a of r.attachments) {
+            const target = a.file ? `attachments/${channelName}/${a.file}` : a.url;
+            lines.push(`📎 [${a.name}](${target})${a.file ? '' : ` (not downloaded: ${a.error || a.skipped})`}`);
+        }
+        if (r.attachments.length) lines.push('');
+    }
+    return lines.join('\n');
+}
+
+function archiveRoot(dataDir, instanceNumber) {
+    return join(dataDir, `instance-${instanceNumber}`, 'archive');
+}
+
+/**
+ * Export the channels' history. Returns the manifest; throws if a channel
+ * could not be read (the caller must then keep the channels).
+ *
+ * @param {object} options
+ * @param {Array<import('discord.js').TextChannel>} options.channels
+ * @param {string} options.dataDir
+ * @param {number} options.instanceNumber
+ * @param {string} [options.reason]
+ * @param {boolean} [options.downloadAttachments]
+ * @param {number} [options.maxAttachmentBytes]
+ */
+export async function archiveChannels({ channels, dataDir, instanceNumber, reason = 'shutdown', downloadAttachments = true, maxAttachmentBytes = 25 * 1024 * 1024 }) {
+    const archivedAt = new Date().toISOString();
+    const id = archivedAt.replace(/[:.]/g, '-');
+    const dir = join(archiveRoot(dataDir, instanceNumber), id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const manifest = { id, instance: instanceNumber, host: os.hostname(), archived_at: archivedAt, reason, channels: [] };
+
+    for (const channel of channels) {
+        const messages = await fetchAllMessages(channel);
+        const records = messages.map(messageRecord);
+
+        let downloaded = 0;
+        const missing = [];
+        if (downloadAttachments) {
+            const attachmentDir = join(dir, 'attachments', channel.name);
+            for (const record of records) {
+                for (const attachment of record.attachments) {
+                    const fileName = `${record.id}-${safeFileName(attachment.name || attachment.id)}`;
+                    Object.assign(attachment, await downloadAttachment(attachment, attachmentDir, { fileName, maxBytes: maxAttachmentBytes }));
+                    if (attachment.file) {
+                        downloaded++;
+                    } else {
+                        missing.push(`${attachment.name} (${attachment.error || attachment.skipped})`);
+                    }
+                }
+            }
+        }
+
+        fs.writeFileSync(join(dir, `${channel.name}.json`), JSON.stringify({ channel: { id: channel.id, name: channel.name }, messages: records }, null, 2));
+        fs.writeFileSync(join(dir, `${channel.name}.md`), toMarkdown(channel.name, instanceNumber, records, archivedAt));
+
+        manifest.channels.push({
+            id: channel.id,
+            name: channel.name,
+            messages: records.length,
+            attachments: records.reduce((n, r) => n + r.attachments.length, 0),
+            downloaded,
+            missing,
+            first: records[0]?.timestamp || null,
+            last: records.at(-1)?.timestamp || null,
+        });
+    }
+
+    manifest.complete = manifest.channels.every(c => c.missing.length === 0);
+    fs.writeFileSync(join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    return { ...manifest, dir };
+}
+
+/** Manifests of every archive under dataDir, newest first. */
+export function listArchives(dataDir, instanceNumber = null) {
+    let instanceDirs = [];
+    try {
+        instanceDirs = fs.readdirSync(dataDir).filter(d => /^instance-\d+$/.test(d));
+    } catch (e) {
+        return [];
+    }
+
+    return instanceDirs
+        .filter(d => instanceNumber === null || d === `instance-${instanceNumber}`)
+        .flatMap(d => {
+            const root = join(dataDir, d, 'archive');
+            let ids = [];
+            try { ids = fs.readdirSync(root); } catch (e) { return []; }
+            return ids.map(id => {
+                try {
+                    return { ...JSON.parse(fs.readFileSync(join(root, id, 'manifest.json'), 'utf8')), dir: join(root, id) };
+                } catch (e) {
+                    return null; // Interrupted archive without a manifest
+                }
+            }).filter(Boolean);
+        })
+        .sort((a, b) => b.archived_at.localeCompare(a.archived_at));
+}
+
+/** One archive by instance and id (or id prefix), or null. */
+export function findArchive(dataDir, instanceNumber, id) {
+    return listArchives(dataDir, instanceNumber).find(a => a.id === id || a.id.startsWith(id)) || null;
+}
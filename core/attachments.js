@@ -0,0 +1,142 @@
+/**
+ * WIRED ATTACHMENTS - Discord files in and out of TARS
+ *
+ * Inbound: files on a message to #N-tars / #N-romilly are downloaded to
+ *
+ *   <dataDir>/instance-N/attachments/<message id>/<attachment id>-<file name>
+ *
+ * and travel with the routed message as `attachments` (wait_for_message
+ * payload, and listed under the stdin injection).
+ *
+ * Outbound: send_reply takes local file paths and uploads them - only files
+ * inside the upload roots (the policy workspace and the inbound attachment
+ * directory), never a hidden file such as .env or ~/.ssh/id_rsa.
+ */
+
+import fs from 'fs';
+import { join, basename, resolve, relative, isAbsolute, sep } from 'path';
+
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+export const FILES_PER_MESSAGE = 10; // Discord's limit
+
+/** Inbound attachment directory of an instance (or of a standalone gateway). */
+export function attachmentDir(dataDir, instanceNumber = null) {
+    return instanceNumber === null
+        ? join(dataDir, 'attachments')
+        : join(dataDir, `instance-${instanceNumber}`, 'attachments');
+}
+
+export function safeFileName(name) {
+    return basename(name).replace(/[^\w.-]+/g, '_').slice(0, 120) || 'file';
+}
+
+/** Download one attachment into dir: { file } | { skipped } | { error }. */
+export async function downloadAttachment(attachment, dir, { fileName = safeFileName(attachment.name || attachment.id), maxBytes }) {
+    if (attachment.size > maxBytes) return { skipped: `larger than ${maxBytes} bytes` };
+    try {
+        const res = await fetch(attachment.url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!res.ok) return { error: `HTTP ${res.status}` };
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(join(dir, fileName), Buffer.from(await res.arrayBuffer()));
+        return { file: fileName };
+    } catch (e) {
+        return { error: e.message };
+    }
+}
+
+/**
+ * Download a Discord message's attachments for TARS.
+ * Returns [{ name, path, size, content_type, url, error }]; path is null when
+ * the file was not downloaded (too large or failed), the URL still works.
+ */
+export async function saveInboundAttachments(msg, dir, { maxBytes }) {
+    const saved = [];
+    for (const attachment of msg.attachments.values()) {
+        const messageDir = join(dir, msg.id);
+        // Two files on one message may share a name
+        const fileName = `${attachment.id}-${safeFileName(attachment.name || attachment.id)}`;
+        const result = await downloadAttachment(attachment, messageDir, { fileName, maxBytes });
+        saved.push({
+            name: attachment.name,
+            path: result.file ? join(messageDir, result.file) : null,
+            size: attachment.size,
+            content_type: attachment.contentType || null,
+            url: attachment.url,
+            error: result.skipped || result.error || null,
+        });
+    }
+    return saved;
+}
+
+/**
+ * Run async handlers one after another per key (channel ID), in the order
+ * they were queued - a message still downloading its files keeps later
+ * messages of its channel waiting, so they are routed in arrival order.
+ * Returns enqueue(key, fn) -> promise of fn's result.
+ */
+export function createArrivalQueue({ onError = () => {} } = {}) {
+    const tails = new Map(); // key -> promise of the last queued handler
+    return (key, fn) => {
+        const run = (tails.get(key) || Promise.resolve()).then(fn).catch(onError);
+        tails.set(key, run);
+        run.then(() => { if (tails.get(key) === run) tails.delete(key); });
+        return run;
+    };
+}
+
+/** Attachment list appended to a stdin injection. */
+export function describeAttachments(attachments) {
+    return attachments.map(a => `  - ${a.path || a.url} (${a.name}, ${a.content_type || 'unknown type'}, ${a.size} bytes` +
+        `${a.error ? `; not downloaded: ${a.error}` : ''})`).join('\n');
+}
+
+function realpathOrNull(path) {
+    try {
+        return fs.realpathSync(path);
+    } catch (e) {
+        return null;
+    }
+}
+
+/** Path of file relative to the root containing it, or null when no root does. */
+function relativeToRoot(roots, file) {
+    for (const root of roots) {
+        const rel = relative(root, file);
+        if (rel !== '' && !rel.startsWith('..') && !isAbsolute(rel)) return rel;
+    }
+    return null;
+}
+
+/**
+ * Check local files before an upload. Relative paths resolve against cwd.
+ * Symlinks are followed before the root check, so a link cannot point out.
+ * Returns [{ attachment, name }] for discord.js, or throws with the reason.
+ *
+ * @param {string[]} paths
+ * @param {object} opts
+ * @param {number} opts.maxBytes
+ * @param {string[]} opts.roots - directories files may be uploaded from
+ * @param {string[]} [opts.exclude] - files never uploaded (e.g. the config file)
+ * @param {string} [opts.cwd]
+ */
+export function prepareUploads(paths, { maxBytes, roots, exclude = [], cwd = process.cwd() }) {
+    if (!Array.isArray(paths)) throw new Error('attachments must be a list of file paths');
+    if (paths.length > FILES_PER_MESSAGE) throw new Error(`at most ${FILES_PER_MESSAGE} files per message`);
+    const realRoots = roots.map(realpathOrNull).filter(Boolean);
+    const excluded = new Set(exclude.map(realpathOrNull).filter(Boolean));
+
+    return paths.map((path) => {
+        const full = resolve(cwd, String(path));
+        const real = realpathOrNull(full);
+        if (!real) throw new Error(`${full}: no such file`);
+        const rel = relativeToRoot(realRoots, real);
+        if (rel === null) throw new Error(`${full}: outside the upload directories (${realRoots.join(', ')})`);
+        if (rel.split(sep).some(part => part.startsWith('.')) || excluded.has(real)) {
+            throw new Error(`${full}: hidden and configuration files are not uploaded`);
+        }
+        const stat = fs.statSync(real);
+        if (!stat.isFile()) throw new Error(`${full}: not a file`);
+        if (stat.size > maxBytes) throw new Error(`${full}: ${stat.size} bytes, the limit is ${maxBytes}`);
+        return { attachment: real, name: basename(full) };
+    });
+}
@@ -0,0 +1,93 @@
+/**
+ * WIRED AUTH - Bearer tokens and audit trail for the daemon HTTP API
+ *
+ * Tokens come from WIRED_API_TOKENS as comma-separated entries:
+ *
+ *   name=token:SOURCE1|SOURCE2     e.g. cooper=s3cret:COOPER
+ *   name=token:*                   any source except the reserved ones
+ *
+ * A token may only inject as one of its sources. LAIN is reserved for the
+ * Discord path and ROMILLY for its IPC channel; neither can be claimed over
+ * HTTP, not even with `*`.
+ */
+
+import { timingSafeEqual, randomBytes } from 'crypto';
+import fs from 'fs';
+import { dirname } from 'path';
+
+export const RESERVED_SOURCES = ['LAIN', 'ROMILLY'];
+const SOURCE_PATTERN = /^[A-Z][A-Z0-9_-]{0,31}$/;
+
+export function generateToken() {
+    return randomBytes(24).toString('hex');
+}
+
+/**
+ * Parse the WIRED_API_TOKENS spec into principals.
+ * Throws with the offending entry when the spec is malformed.
+ */
+export function parseApiTokens(spec) {
+    const principals = [];
+    if (!spec) return principals;
+
+    for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+        const match = entry.match(/^([\w-]+)=([^:]+):(.+)$/);
+        if (!match) throw new Error(`Malformed WIRED_API_TOKENS entry "${entry}" (expected name=token:SOURCE|SOURCE)`);
+        const [, name, token, sourceList] = match;
+        const sources = sourceList.split('|').map(s => s.trim().toUpperCase()).filter(Boolean);
+        principals.push({ name, token, sources });
+    }
+    return principals;
+}
+
+function tokensMatch(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * @param {Array<{name: string, token: string, sources: string[], internal?: boolean}>} principals
+ */
+export function createAuthenticator(principals) {
+    /** Principal for the request's bearer token, or null. */
+    function authenticate(req) {
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        if (!match) return null;
+        return principals.find(p => tokensMatch(p.token, match[1])) || null;
+    }
+
+    /**
+     * Resolve the source a principal injects as. Returns { source } or { error }.
+     * With no requested source the principal's first source is used.
+     */
+    function resolveSource(principal, requested) {
+        const source = requested ? String(requested).toUpperCase() : principal.sources.find(s => s !== '*');
+        if (!source) return { error: `Token "${principal.name}" must name a source` };
+        if (!SOURCE_PATTERN.test(source)) return { error: `Invalid source "${source}"` };
+        if (RESERVED_SOURCES.includes(source)) return { error: `Source ${source} cannot be used over HTTP` };
+        if (!principal.sources.includes('*') && !principal.sources.includes(source)) {
+            return { error: `Token "${principal.name}" may not inject as ${source}` };
+        }
+        return { source };
+    }
+
+    return { authenticate, resolveSource, count: principals.filter(p => !p.internal).length };
+}
+
+/** Append-only JSONL record of every inject attempt. */
+export function createAuditLog(filePath) {
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+
+    return {
+        path: filePath,
+        record(entry) {
+            try {
+                fs.appendFileSync(filePath, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n');
+            } catch (e) {
+                console.error(`[AUDIT] Write failed: ${e.message}`);
+            }
+        },
+    };
+}
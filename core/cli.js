@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+/**
+ * WIRED CLI - Manage the WIRED instances running on this host
+ *
+ * Built on the wired-instance-N.json state files (WIRED_INSTANCE_DIR) and
+ * each daemon's HTTP API (the port is in the state file).
+ *
+ * Usage:
+ *   wired list
+ *   wired status <n> [--json]
+ *   wired inject <n> [--source COOPER] "message"
+ *   wired tail <n> [--types tool_use,injection] [--since SEQ]
+ *   wired stop <n>                 (host-mode instances: DELETE on the host API)
+ *   wired restart <n> claude|romilly
+ *   wired pause <n> / wired resume <n>
+ *   wired logs <n> [--component tars,router] [--level warn] [--since 30m] [--grep text] [--limit N] [--json]
+ *   wired archives [n]
+ *   wired archive <n> <id> [--channel tars|romilly] [--json]
+ *
+ * HTTP commands authenticate with --token, WIRED_API_TOKEN, or the first
+ * token in http.apiTokens (WIRED_API_TOKENS / wired.config.json).
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import fs from 'fs';
+import { parseArgs } from 'util';
+import os from 'os';
+import { readInstanceStates, readInstanceLocks, isPidAlive } from './instances.js';
+import { parseApiTokens } from './auth.js';
+import { listArchives, findArchive } from './archive.js';
+import { LOG_LEVELS, logDir, queryLogs, formatLogEntry } from './logger.js';
+import { loadConfigOrExit } from './config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const WIRED_ROOT = join(__dirname, '..');
+
+dotenv.config({ path: join(WIRED_ROOT, '.env') });
+// Flags belong to the CLI itself; wired.config.json and env still apply
+const { config } = loadConfigOrExit('wired', { argv: [] });
+
+const CONFIG = {
+    INSTANCE_DIR: config.paths.instanceDir,
+    DATA_DIR: config.paths.dataDir,
+    REQUEST_TIMEOUT_MS: 10 * 1000,
+    STOP_TIMEOUT_MS: 60 * 1000, // The daemon archives and removes its Discord channels before exiting
+};
+
+const CHILDREN = ['claude', 'romilly'];
+
+const USAGE = `Usage: wired <command> [options]
+
+Commands:
+  list                               Instances on this host (from ${CONFIG.INSTANCE_DIR})
+  status <n> [--json]                Daemon, session and child status
+  inject <n> [--source S] <message>  Send a message to TARS
+  tail <n> [--types a,b] [--since N] Follow live activity (Ctrl-C to stop)
+  stop <n>                           Graceful shutdown (SIGTERM, or via the host API)
+  restart <n> claude|romilly         Restart one child process
+  pause <n> / resume <n>             Queue messages instead of delivering them / deliver again
+  logs <n> [--component a,b]         Search the instance's logs (--level, --since 30m|ISO, --grep, --limit)
+  archives [n]                       Channel archives kept in ${CONFIG.DATA_DIR}
+  archive <n> <id> [--channel C]     Print an archived channel (tars or romilly; --json for raw)
+
+Options:
+  --token <token>                    API token (default: WIRED_API_TOKEN)
+  -h, --help                         Show this help`;
+
+class CliError extends Error {}
+
+// ============ INSTANCE LOOKUP ============
+function describeState(state) {
+    if (state.error) return 'corrupt';
+    if (state.remote) return `remote (${state.hostname})`;
+    if (!state.alive) return 'stale';
+    return state.paused ? 'paused' : 'running';
+}
+
+function parseInstanceNumber(arg) {
+    const n = parseInt(arg);
+    if (!n || n < 1) throw new CliError(`Expected an instance number, got "${arg ?? ''}"`);
+    return n;
+}
+
+/**
+ * State for instance n, or a CliError saying why the slot can't be used.
+ * `needsHttp` additionally requires the HTTP port (older daemons lack it).
+ */
+function resolveInstance(arg, { needsHttp = true } = {}) {
+    const n = parseInstanceNumber(arg);
+
+    const state = readInstanceStates(CONFIG.INSTANCE_DIR).find(s => s.instanceNumber === n);
+    if (!state) {
+        const lock = readInstanceLocks(CONFIG.INSTANCE_DIR).find(l => l.instanceNumber === n);
+        if (!lock) {
+            throw new CliError(`No instance #${n} in ${CONFIG.INSTANCE_DIR} (see \`wired list\`)`);
+        }
+        if (lock.alive) {
+            throw new CliError(`Instance #${n} is still starting (PID ${lock.pid}) - try again in a moment`);
+        }
+        if (lock.remote) {
+            throw new CliError(`Slot #${n} is held by ${lock.hostname} - wired only manages instances on this host`);
+        }
+        throw new CliError(
+            `Slot #${n} is orphaned: its lock was left by PID ${lock.pid ?? '?'}, which is not running.\n` +
+            `The next daemon start reclaims it, or remove ${lock.file}`
+        );
+    }
+
+    if (state.error) {
+        throw new CliError(`State file for #${n} is unreadable (${state.error}): ${state.file}`);
+    }
+    if (state.remote) {
+        throw new CliError(`Instance #${n} runs on ${state.hostname} - wired only manages instances on this host`);
+    }
+    if (!state.alive) {
+        throw new CliError(
+            `Instance #${n} is stale: daemon PID ${state.pid} is not running.\n` +
+            `The next daemon start cleans it up, or remove ${state.file}`
+        );
+    }
+    if (needsHttp && !state.httpPort) {
+        throw new CliError(`Instance #${n} (PID ${state.pid}) predates the HTTP port in its state file - restart it first`);
+    }
+    return state;
+}
+
+// ============ HTTP ============
+function resolveToken(flag) {
+    if (flag) return flag;
+    if (process.env.WIRED_API_TOKEN) return process.env.WIRED_API_TOKEN;
+    const [first] = parseApiTokens(config.http.apiTokens);
+    if (first) return first.token;
+    throw new CliError('No API token: pass --token or set WIRED_API_TOKEN');
+}
+
+async function request(state, token, path, { method = 'GET', body, stream = false, port = state.httpPort, timeout = CONFIG.REQUEST_TIMEOUT_MS } = {}) {
+    const url = `http://127.0.0.1:${port}${path}`;
+    let res;
+    try {
+        res = await fetch(url, {
+            method,
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: stream ? undefined : AbortSignal.timeout(timeout),
+        });
+    } catch (e) {
+        throw new CliError(`Instance #${state.instanceNumber} is running but its API at ${url} is unreachable (${e.cause?.code || e.message})`);
+    }
+
+    if (stream && res.ok) return res;
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) throw new CliError('Token rejected by the daemon (401)');
+    if (!res.ok) throw new CliError(`${method} ${path} failed (HTTP ${res.status}): ${data.error || res.statusText}`);
+    return data;
+}
+
+// ============ COMMANDS ============
+function formatAge(iso) {
+    if (!iso) return '-';
+    const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h${minutes % 60}m`;
+    return `${Math.floor(minutes / (24 * 60))}d`;
+}
+
+function printTable(rows) {
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+    for (const row of rows) {
+        console.log(row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd());
+    }
+}
+
+function cmdList() {
+    const states = readInstanceStates(CONFIG.INSTANCE_DIR);
+    const withState = new Set(states.map(s => s.instanceNumber));
+    // Locks without a state file: starting up, or left behind by a crash
+    const bareLocks = readInstanceLocks(CONFIG.INSTANCE_DIR).filter(l => !withState.has(l.instanceNumber));
+
+    if (states.length === 0 && bareLocks.length === 0) {
+        console.log(`No instances in ${CONFIG.INSTANCE_DIR}`);
+        return;
+    }
+
+    const rows = [['#', 'STATE', 'PID', 'CLAUDE', 'ROMILLY', 'HTTP', 'UP', 'HOST']];
+    const entries = [
+        ...states.map(s => [s.instanceNumber, describeState(s), s.pid || '-', s.claudePid || '-', s.romillyPid || '-',
+            s.httpPort || '-', s.alive ? formatAge(s.startTime) : '-', s.hostname || '-']),
+        ...bareLocks.map(l => [l.instanceNumber, l.remote ? `remote (${l.hostname})` : l.alive ? 'starting' : 'orphaned',
+            l.pid || '-', '-', '-', '-', '-', l.hostname || '-']),
+    ].sort((a, b) => a[0] - b[0]);
+    printTable([...rows, ...entries]);
+}
+
+async function cmdStatus(args, flags) {
+    const state = resolveInstance(args[0]);
+    const status = await request(state, resolveToken(flags.token), '/status');
+    if (flags.json) {
+        console.log(JSON.stringify(status, null, 2));
+        return;
+    }
+
+    const { claude, romilly } = status.children;
+    const liveness = status.liveness || {};
+    console.log(`WIRED #${status.instance} on ${os.hostname()} - up ${formatAge(new Date(Date.now() - status.uptime * 1000).toISOString())}`);
+    console.log(`  session   ${status.session_active ? 'active' : 'inactive'} ${status.session_id || ''}${status.resumed_from ? ' (resumed)' : ''}`);
+    if (status.paused) console.log(`  PAUSED    since ${status.paused.since} by ${status.paused.by}`);
+    console.log(`  TARS      ${liveness.state || '?'}, quiet ${liveness.quiet_seconds ?? '?'}s${liveness.nudges ? `, ${liveness.nudges} nudges` : ''}`);
+    console.log(`  claude    ${claude.state}${claude.parked_reason ? ` (${claude.parked_reason})` : ''} pid=${claude.pid || '-'} restarts=${claude.restarts}`);
+    console.log(`  romilly   ${romilly.state} pid=${romilly.pid || '-'} restarts=${romilly.restarts}`);
+    console.log(`  router    ${status.router.mode}, pending tars=${status.router.pending.tars} romilly=${status.router.pending.romilly}, in flight ${status.router.inflight}${status.router.held?.length ? ` (held: ${status.router.held.join(', ')})` : ''}`);
+    if (status.tools) {
+        const { calls, errors, violations, policy } = status.tools;
+        console.log(`  tools     ${calls} calls, ${errors} errors, ${violations} policy violations (${policy.file ? `${policy.rules} rules` : 'no policy file'})`);
+    }
+    if (status.approvals?.enabled) {
+        const { open, allowed, denied, timed_out: timedOut } = status.approvals;
+        console.log(`  approvals ${open.length} waiting${open.length ? ` (${open.map(r => r.tool).join(', ')})` : ''}, ${allowed} approved, ${denied} denied (${timedOut} timed out)`);
+    }
+    if (status.usage) {
+        const { today, this_month: month, budgets } = status.usage;
+        const limit = (b) => (b.limit_usd > 0 ? `/$${b.limit_usd}` : '');
+        console.log(`  usage     today $${today.cost_usd.toFixed(2)}${limit(budgets.daily)} (${today.output_tokens} output tokens), month $${month.cost_usd.toFixed(2)}${limit(budgets.monthly)}`);
+    }
+}
+
+async function cmdInject(args, flags) {
+    const state = resolveInstance(args[0]);
+    const content = args.slice(1).join(' ');
+    if (!content) throw new CliError('Nothing to inject: wired inject <n> [--source S] "message"');
+
+    const body = { content };
+    if (flags.source) body.source = flags.source.toUpperCase();
+    const result = await request(state, resolveToken(flags.token), '/inject', { method: 'POST', body });
+    console.log(`${result.status} as ${result.source} (${result.id})`);
+}
+
+function describeEvent(event) {
+    switch (event.type) {
+        case 'assistant_text': return event.text;
+        case 'tool_use': return `${event.name} ${JSON.stringify(event.input)}`;
+        case 'tool_result': return `${event.is_error ? 'ERROR ' : ''}${event.content}`;
+        case 'injection': return `[${event.source}] (${event.status}) ${event.content}`;
+        case 'restart': return `${event.child} ${event.phase}${event.code !== undefined ? ` code=${event.code}` : ''}`;
+        case 'romilly_verdict': return `${event.check} #${event.number}: ${event.score}/420 ${event.verdict}`;
+        case 'policy_violation': return `${event.action} "${event.rule}": ${event.tool} (${event.reason})`;
+        case 'pause': return `${event.phase} by ${event.by}`;
+        case 'approval': return event.phase === 'requested'
+            ? `${event.tool} waiting for approval`
+            : `${event.tool} ${event.decision === 'allow' ? 'approved' : 'denied'} by ${event.by}`;
+        case 'budget': return event.phase === 'exceeded'
+            ? `${event.period} budget reached ($${event.spent_usd} of $${event.limit_usd}), injections held`
+            : `${event.period} budget available again`;
+        default: return JSON.stringify(event);
+    }
+}
+
+async function cmdTail(args, flags) {
+    const state = resolveInstance(args[0]);
+    const params = new URLSearchParams();
+    if (flags.types) params.set('types', flags.types);
+    if (flags.since) params.set('since', flags.since);
+    const query = params.toString() ? `?${params}` : '';
+
+    const res = await request(state, resolveToken(flags.token), `/events${query}`, { stream: true });
+    console.error(`[wired] Following #${state.instanceNumber} - Ctrl-C to stop`);
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let split;
+        while ((split = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, split);
+            buffer = buffer.slice(split + 2);
+            const data = block.split('\n').filter(l => l.startsWith('data: ')).map(l => l.slice(6)).join('\n');
+            if (!data) continue; // Heartbeat
+            const event = JSON.parse(data);
+            if (!event.seq) {
+                console.log(`... ${event.missed} events dropped from the buffer before this point`);
+                continue;
+            }
+            const time = new Date(event.ts).toLocaleTimeString();
+            console.log(`${time} ${event.type.padEnd(15)} ${describeEvent(event)}`);
+        }
+    }
+    throw new CliError(`Instance #${state.instanceNumber} closed the event stream`);
+}
+
+// "30m", "2h", "1d" ago, or an ISO timestamp
+function parseSince(value) {
+    const relative = value.match(/^(\d+)([mhd])$/);
+    if (relative) {
+        const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2]];
+        return new Date(Date.now() - relative[1] * unit);
+    }
+    const date = new Date(value);
+    if (isNaN(date)) throw new CliError(`--since expects 30m, 2h, 1d or a timestamp, got "${value}"`);
+    return date;
+}
+
+// Reads the files directly - works for stopped instances too
+function cmdLogs(args, flags) {
+    const instance = parseInstanceNumber(args[0]);
+    if (flags.level && !LOG_LEVELS.includes(flags.level)) {
+        throw new CliError(`--level must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    const limit = flags.limit ? parseInt(flags.limit) : 100;
+    if (!(limit > 0)) throw new CliError(`--limit expects a positive number, got "${flags.limit}"`);
+
+    const dir = logDir(CONFIG.DATA_DIR, instance);
+    const entries = queryLogs(dir, {
+        components: flags.component ? flags.component.split(',') : null,
+        level: flags.level || 'debug',
+        since: flags.since ? parseSince(flags.since) : null,
+        grep: flags.grep || null,
+        limit,
+    });
+    if (entries.length === 0) {
+        console.error(`No matching log entries in ${dir}`);
+        return;
+    }
+    for (const entry of entries) console.log(flags.json ? JSON.stringify(entry) : formatLogEntry(entry));
+}
+
+async function cmdStop(args, flags) {
+    const state = resolveInstance(args[0], { needsHttp: false });
+
+    // Host mode: the PID runs other instances too, so ask the host to stop just this one
+    if (state.hostPort) {
+        console.log(`Stopping #${state.instanceNumber} through its host (PID ${state.pid})...`);
+        await request(state, resolveToken(flags.token), `/instances/${state.instanceNumber}`, {
+            method: 'DELETE',
+            port: state.hostPort,
+            timeout: CONFIG.STOP_TIMEOUT_MS,
+        });
+        console.log(`#${state.instanceNumber} stopped`);
+        return;
+    }
+
+    // SIGTERM goes through the daemon's shutdown(): children, state file, channels
+    process.kill(state.pid, 'SIGTERM');
+    console.log(`Sent SIGTERM to #${state.instanceNumber} (PID ${state.pid}), waiting for it to exit...`);
+
+    const deadline = Date.now() + CONFIG.STOP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (!isPidAlive(state.pid)) {
+            console.log(`#${state.instanceNumber} stopped`);
+            return;
+        }
+        await new Promise(r => setTimeout(r, 500));
+    }
+    throw new CliError(`#${state.instanceNumber} (PID ${state.pid}) is still running after ${CONFIG.STOP_TIMEOUT_MS / 1000}s`);
+}
+
+async function cmdRestart(args, flags) {
+    const child = args[1];
+    if (!CHILDREN.includes(child)) throw new CliError(`Restart what? wired restart <n> ${CHILDREN.join('|')}`);
+    const state = resolveInstance(args[0]);
+    const result = await request(state, resolveToken(flags.token), `/restart/${child}`, { method: 'POST' });
+    console.log(`Restarting ${result.restarted} on #${state.instanceNumber}`);
+}
+
+async function cmdPause(args, flags, paused) {
+    const state = resolveInstance(args[0]);
+    const result = await request(state, resolveToken(flags.token), paused ? '/pause' : '/resume', { method: 'POST' });
+    if (!result.changed) {
+        console.log(`#${state.instanceNumber} is ${result.paused ? 'already paused' : 'not paused'}`);
+        return;
+    }
+    console.log(result.paused
+        ? `Paused #${state.instanceNumber} - messages are queued until \`wired resume ${state.instanceNumber}\``
+        : `Resumed #${state.instanceNumber}${result.held.length ? ` (still held: ${result.held.join(', ')})` : ''}`);
+}
+
+function cmdArchives(args) {
+    const instance = args[0] === undefined ? null : parseInstanceNumber(args[0]);
+    const archives = listArchives(CONFIG.DATA_DIR, instance);
+    if (archives.length === 0) {
+        console.log(`No archives in ${CONFIG.DATA_DIR}`);
+        return;
+    }
+
+    const rows = [['#', 'ID', 'REASON', 'HOST', 'CHANNELS']];
+    for (const a of archives) {
+        rows.push([a.instance, a.id, a.reason, a.host, a.channels.map(c => `${c.name} (${c.messages})`).join(', ')]);
+    }
+    printTable(rows);
+}
+
+function cmdArchive(args, flags) {
+    const instance = parseInstanceNumber(args[0]);
+    if (!args[1]) throw new CliError('Which archive? wired archive <n> <id> (ids: wired archives <n>)');
+    const archive = findArchive(CONFIG.DATA_DIR, instance, args[1]);
+    if (!archive) throw new CliError(`No archive "${args[1]}" for #${instance} - see wired archives ${instance}`);
+
+    const name = `${instance}-${flags.channel || 'tars'}`;
+    if (!archive.channels.some(c => c.name === name)) {
+        throw new CliError(`Archive ${archive.id} has no #${name} (has ${archive.channels.map(c => `#${c.name}`).join(', ')})`);
+    }
+    const file = join(archive.dir, `${name}.${flags.json ? 'json' : 'md'}`);
+    process.stdout.write(fs.readFileSync(file, 'utf8') + '\n');
+}
+
+const COMMANDS = {
+    list: cmdList,
+    status: cmdStatus,
+    inject: cmdInject,
+    tail: cmdTail,
+    stop: cmdStop,
+    restart: cmdRestart,
+    pause: (args, flags) => cmdPause(args, flags, true),
+    resume: (args, flags) => cmdPause(args, flags, false),
+    logs: cmdLogs,
+    archives: cmdArchives,
+    archive: cmdArchive,
+};
+
+// ============ MAIN ============
+async function main() {
+    const { values: flags, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            token: { type: 'string' },
+            source: { type: 'string', short: 's' },
+            types: { type: 'string' },
+            since: { type: 'string' },
+            channel: { type: 'string' },
+            component: { type: 'string' },
+            level: { type: 'string' },
+            grep: { type: 'string' },
+            limit: { type: 'string' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    const [command, ...args] = positionals;
+    if (flags.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    const handler = COMMANDS[command];
+    if (!handler) throw new CliError(`Unknown command "${command}"\n\n${USAGE}`);
+    await handler(args, flags);
+}
+
+main().catch(e => {
+    console.error(`wired: ${e instanceof CliError || e.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? e.message : e.stack}`);
+    process.exit(1);
+});
@@ -0,0 +1,115 @@
+/**
+ * WIRED COMMANDS - Guild slash commands that control an instance
+ *
+ * The daemon registers them on the guild and answers them itself - nothing
+ * goes through TARS. A command acts on the instance whose #N-tars or
+ * #N-romilly channel it was used in:
+ *
+ *   /status                       status post, on demand
+ *   /pause, /resume               hold / release message delivery
+ *   /restart <tars|romilly>       restart a child now
+ *   /audit                        ROMILLY full audit now
+ *   /inject-as <source> <message> inject as COOPER
+ *   /budget                       spend and budget limits
+ *
+ * Allowed for discord.allowedUserId and members with discord.commandRoleId;
+ * with neither set, for nobody.
+ */
+
+import { ApplicationCommandOptionType } from 'discord.js';
+
+export const SLASH_COMMANDS = [
+    { name: 'status', description: 'Status of the WIRED instance of this channel' },
+    { name: 'pause', description: 'Pause TARS: messages are queued, not delivered' },
+    { name: 'resume', description: 'Resume TARS and deliver queued messages' },
+    {
+        name: 'restart',
+        description: 'Restart a child process now',
+        options: [{
+            name: 'child',
+            description: 'Which process',
+            type: ApplicationCommandOptionType.String,
+            required: true,
+            choices: [{ name: 'tars', value: 'tars' }, { name: 'romilly', value: 'romilly' }],
+        }],
+    },
+    { name: 'audit', description: 'Run a ROMILLY full audit now' },
+    {
+        name: 'inject-as',
+        description: 'Send TARS a message as COOPER',
+        options: [
+            {
+                name: 'source',
+                description: 'Sender TARS sees',
+                type: ApplicationCommandOptionType.String,
+                required: true,
+                // LAIN and ROMILLY are reserved sources (core/auth.js)
+                choices: [{ name: 'cooper', value: 'COOPER' }],
+            },
+            { name: 'message', description: 'Message for TARS', type: ApplicationCommandOptionType.String, required: true },
+        ],
+    },
+    { name: 'budget', description: 'Claude spend and budget limits' },
+];
+
+const COMMAND_NAMES = SLASH_COMMANDS.map(c => c.name);
+
+// Instance channels of this or another daemon
+const INSTANCE_CHANNEL = /^\d+-(tars|romilly)$/;
+
+/** Replace the guild's commands with ours (idempotent). */
+export async function registerCommands(guild) {
+    await guild.commands.set(SLASH_COMMANDS);
+}
+
+/** May this interaction's user run commands? Nobody may when neither is configured. */
+export function canControl(interaction, { allowedUserId, roleId }) {
+    if (!allowedUserId && !roleId) return false;
+    if (allowedUserId && interaction.user.id === allowedUserId) return true;
+    if (!roleId) return false;
+    // Cached members have a role manager, uncached ones a list of IDs
+    const roles = interaction.member?.roles;
+    return Array.isArray(roles) ? roles.includes(roleId) : Boolean(roles?.cache?.has(roleId));
+}
+
+/**
+ * interactionCreate listener: finds the instance and lets it run the command.
+ *
+ * @param {object} opts
+ * @param {(channelId: string) => object|null} opts.findInstance - instance owning the channel
+ * @param {string} opts.allowedUserId
+ * @param {string} opts.roleId
+ * @param {object} opts.log
+ */
+export function createCommandDispatcher({ findInstance, allowedUserId, roleId, log }) {
+    return async (interaction) => {
+        if (!interaction.isChatInputCommand() || !COMMAND_NAMES.includes(interaction.commandName)) return;
+
+        try {
+            const instance = findInstance(interaction.channelId);
+            if (!instance) {
+                // Another daemon's instance answers there
+                if (INSTANCE_CHANNEL.test(interaction.channel?.name || '')) return;
+                await interaction.reply({ content: 'Use WIRED commands in an #N-tars or #N-romilly channel.', ephemeral: true });
+                return;
+            }
+            if (!canControl(interaction, { allowedUserId, roleId })) {
+                const content = allowedUserId || roleId
+                    ? 'You cannot control WIRED instances.'
+                    : 'WIRED commands are off: set discord.allowedUserId or discord.commandRoleId.';
+                await interaction.reply({ content, ephemeral: true });
+                return;
+            }
+
+            await interaction.deferReply();
+            const options = Object.fromEntries(interaction.options.data.map(o => [o.name, o.value]));
+            const text = await instance.runCommand(interaction.commandName, options, interaction.user.username);
+            await interaction.editReply(text);
+        } catch (e) {
+            log.error(`/${interaction.commandName} failed: ${e.message}`);
+            const reply = { content: `/${interaction.commandName} failed: ${e.message}` };
+            await (interaction.deferred ? interaction.editReply(reply) : interaction.reply({ ...reply, ephemeral: true }))
+                .catch(() => { /* interaction expired */ });
+        }
+    };
+}
@@ -0,0 +1,365 @@
+/**
+ * WIRED CONFIG - One validated configuration for daemon, gateway and ROMILLY
+ *
+ * Layers, later wins:
+ *
+ *   1. defaults in SCHEMA below
+ *   2. wired.config.json (WIRED_CONFIG or --config picks another file)
+ *   3. environment variables (each setting lists the ones it reads)
+ *   4. CLI flags: --http.port=3500, --romilly.quickCheckIntervalMs 60000
+ *
+ * The daemon hands its config file and flags to the gateway and ROMILLY
+ * (childConfigEnv), so all three processes see the same effective config.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const WIRED_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const minutes = (n) => n * 60 * 1000;
+
+// Leaf: { type, default, env?, secret?, nullable?, min?, values?, description }
+// type: string | integer | number | boolean | list (of strings) | enum
+export const SCHEMA = {
+    discord: {
+        botToken: { type: 'string', default: '', env: ['DISCORD_BOT_TOKEN', 'DISCORD_TOKEN'], secret: true, description: 'Discord bot token' },
+        guildId: { type: 'string', default: '', env: ['DISCORD_GUILD_ID'], description: 'Server the instance channels live in' },
+        allowedUserId: { type: 'string', default: '', env: ['ALLOWED_USER_ID'], description: 'Only this user may talk to TARS (empty = anyone)' },
+        commandRoleId: { type: 'string', default: '', env: ['WIRED_COMMAND_ROLE_ID'], description: 'Members with this role may use the slash commands, besides allowedUserId' },
+    },
+    paths: {
+        instanceDir: { type: 'string', default: '/tmp', env: ['WIRED_INSTANCE_DIR'], description: 'Slot locks and wired-instance-N.json state files' },
+        dataDir: { type: 'string', default: ({ root }) => join(root, 'data'), env: ['WIRED_DATA_DIR'], description: 'Per-instance durable data' },
+    },
+    http: {
+        port: { type: 'integer', default: null, nullable: true, min: 1, env: ['WIRED_HTTP_PORT'], description: 'Pin the HTTP port (host API in host mode); null = probe from basePort' },
+        basePort: { type: 'integer', default: 3420, min: 1, description: 'First port tried when probing' },
+        apiTokens: { type: 'string', default: '', env: ['WIRED_API_TOKENS'], secret: true, description: 'name=token:SOURCE|SOURCE,...' },
+        corsOrigins: { type: 'list', default: [], env: ['WIRED_CORS_ORIGINS'], description: 'Browser origins allowed to call the API' },
+        maxBodyBytes: { type: 'integer', default: 64 * 1024, min: 1024, description: 'Largest accepted request body' },
+    },
+    host: {
+        enabled: { type: 'boolean', default: false, env: ['WIRED_HOST_MODE'], description: 'Run several instances in one process (--host)' },
+        instances: { type: 'integer', default: 1, min: 0, env: ['WIRED_HOST_INSTANCES'], description: 'Instances started with the host' },
+        maxInstances: { type: 'integer', default: 8, min: 1, env: ['WIRED_MAX_INSTANCES'], description: 'Upper bound for scaling' },
+    },
+    delivery: {
+        mode: { type: 'enum', values: ['stdin', 'mcp'], default: 'stdin', env: ['WIRED_DELIVERY_MODE'], description: 'How routed messages reach TARS' },
+    },
+    claude: {
+        resumeGraceMs: { type: 'integer', default: 30 * 1000, min: 0, description: 'A resumed session dying this fast counts as a failed resume' },
+    },
+    restart: {
+        baseDelayMs: { type: 'integer', default: 5000, min: 0, description: 'First restart delay, doubling per fast exit' },
+        maxDelayMs: { type: 'integer', default: minutes(5), min: 0, description: 'Restart delay cap' },
+        crashLoopThreshold: { type: 'integer', default: 5, min: 1, description: 'Fast exits in a row before the child is parked' },
+        stableAfterMs: { type: 'integer', default: minutes(1), min: 0, description: 'Up this long = healthy, failure streak resets' },
+    },
+    stall: {
+        checkIntervalMs: { type: 'integer', default: 30 * 1000, min: 1000, description: 'How often liveness is assessed' },
+        nudgeAfterMs: { type: 'integer', default: minutes(10), min: 0, env: ['WIRED_STALL_NUDGE_MS'], description: 'Quiet time before a nudge (0 disables)' },
+        restartAfterMs: { type: 'integer', default: minutes(20), min: 0, env: ['WIRED_STALL_RESTART_MS'], description: 'Quiet time before a restart (0 disables)' },
+    },
+    status: {
+        intervalMs: { type: 'integer', default: minutes(10), min: minutes(1), description: 'Status post interval in #N-tars' },
+    },
+    policy: {
+        file: { type: 'string', default: ({ root }) => join(root, 'wired.policy.json'), env: ['WIRED_POLICY_FILE'], description: 'Deny/alert rules for TARS tool calls (missing = audit only)' },
+    },
+    approval: {
+        enabled: { type: 'boolean', default: false, env: ['WIRED_APPROVAL'], description: 'Ask in #N-tars before tool calls that need permission, instead of skipping permissions' },
+        timeoutMs: { type: 'integer', default: minutes(5), min: 1000, env: ['WIRED_APPROVAL_TIMEOUT_MS'], description: 'Time to answer an approval request' },
+        timeoutAction: { type: 'enum', values: ['deny', 'allow'], default: 'deny', description: 'Decision when nobody answers in time' },
+    },
+    budget: {
+        dailyUsd: { type: 'number', default: 0, min: 0, env: ['WIRED_BUDGET_DAILY_USD'], description: 'Claude spend per instance and UTC day before injections pause (0 = no limit)' },
+        monthlyUsd: { type: 'number', default: 0, min: 0, env: ['WIRED_BUDGET_MONTHLY_USD'], description: 'Claude spend per instance and UTC month before injections pause (0 = no limit)' },
+    },
+    logging: {
+        level: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', env: ['WIRED_LOG_LEVEL'], description: 'Lowest level written to logs and console' },
+        rotation: { type: 'enum', values: ['size', 'daily'], default: 'size', env: ['WIRED_LOG_ROTATION'], description: 'Rotate log files by size or once a day' },
+        maxBytes: { type: 'integer', default: 10 * 1024 * 1024, min: 64 * 1024, description: 'Size rotation threshold per file' },
+        maxFiles: { type: 'integer', default: 5, min: 1, description: 'Rotated files kept per process' },
+    },
+    transcript: {
+        maxBytes: { type: 'integer', default: 50 * 1024 * 1024, min: 1024 * 1024, description: 'Size at which transcript.jsonl is rotated to transcript.1.jsonl (one rotated file is kept)' },
+    },
+    archive: {
+        enabled: { type: 'boolean', default: true, env: ['WIRED_ARCHIVE'], description: 'Export channel history before an instance stops' },
+        mode: { type: 'enum', values: ['delete', 'move'], default: 'delete', env: ['WIRED_ARCHIVE_MODE'], description: 'Afterwards delete the channels, or move them to the archive category' },
+        categoryName: { type: 'string', default: 'ARCHIVE', description: 'Category archived channels are moved into' },
+        downloadAttachments: { type: 'boolean', default: true, description: 'Save attachments next to the export' },
+        maxAttachmentBytes: { type: 'integer', default: 25 * 1024 * 1024, min: 0, description: 'Larger attachments are linked, not downloaded' },
+        keepIncomplete: { type: 'boolean', default: true, description: 'Move the channels to the archive category instead of deleting them when an attachment could not be downloaded' },
+    },
+    attachments: {
+        maxBytes: { type: 'integer', default: 25 * 1024 * 1024, min: 0, env: ['WIRED_ATTACHMENT_MAX_BYTES'], description: 'Largest inbound attachment downloaded for TARS; larger ones are passed as URL' },
+        maxUploadBytes: { type: 'integer', default: 10 * 1024 * 1024, min: 1, description: 'Largest file send_reply uploads (Discord allows 10 MB without boosts)' },
+    },
+    history: {
+        maxCached: { type: 'integer', default: 2000, min: 100, description: 'Messages per channel the gateway keeps for fetch_history / search_messages' },
+        searchScanLimit: { type: 'integer', default: 1000, min: 100, description: 'Most messages per channel one search_messages call reads' },
+    },
+    progress: {
+        minIntervalMs: { type: 'integer', default: 2000, min: 500, description: 'Least time between two edits of a progress message (Discord rate limits edits)' },
+    },
+    render: {
+        maxChunks: { type: 'integer', default: 4, min: 1, env: ['WIRED_MAX_REPLY_CHUNKS'], description: 'Replies needing more Discord messages are sent as a .md attachment' },
+    },
+    romilly: {
+        startDelayMs: { type: 'integer', default: 10 * 1000, min: 0, description: 'Head start Claude gets before ROMILLY launches' },
+        jarvisPath: { type: 'string', default: 'jarvis', env: ['JARVIS_PATH'], description: 'JARVIS executable (name on PATH or absolute path)' },
+        jarvisTimeoutMs: { type: 'integer', default: 60 * 1000, min: 1000, description: 'Limit for one JARVIS consultation' },
+        projectStatePath: { type: 'string', default: ({ root }) => join(root, 'PROJECT_STATE.md'), env: ['ROMILLY_PROJECT_STATE_PATH'], description: 'Project state read by full audits' },
+        manifestoPath: { type: 'string', default: '', env: ['ROMILLY_MANIFESTO_PATH'], description: 'Alignment reference read by full audits (empty = none)' },
+        workDir: { type: 'string', default: '', env: ['ROMILLY_WORK_DIR'], description: 'JARVIS context + directive files (empty = the instance data dir)' },
+        geminiApiKey: { type: 'string', default: '', env: ['GEMINI_API_KEY'], secret: true, description: 'JARVIS (Gemini) API key' },
+        quickCheckIntervalMs: { type: 'integer', default: minutes(2), min: 10 * 1000, description: 'Quick check interval' },
+        fullAuditIntervalMs: { type: 'integer', default: minutes(6), min: minutes(1), description: 'Full audit interval' },
+        thresholds: {
+            fullBlaze: { type: 'integer', default: 400, min: 0, description: 'Score at or above: FULL_BLAZE' },
+            aligned: { type: 'integer', default: 380, min: 0, description: 'Below: quick checks report and correct' },
+            concerning: { type: 'integer', default: 370, min: 0, description: 'Below: full audits inject their correction' },
+            threat: { type: 'integer', default: 100, min: 0, description: 'Below: THREAT' },
+        },
+    },
+};
+
+// Shorthand flags
+const FLAG_ALIASES = {
+    '--host': ['host.enabled', 'true'],
+};
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isLeaf(node) {
+    return typeof node?.type === 'string';
+}
+
+function leaves(node = SCHEMA, prefix = '') {
+    return Object.entries(node).flatMap(([key, child]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        return isLeaf(child) ? [[path, child]] : leaves(child, path);
+    });
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) node = node[key] ??= {};
+    node[keys.at(-1)] = value;
+}
+
+function getPath(source, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+}
+
+/** Coerce an env var / flag string; returns { value } or { error }. */
+function parseString(spec, raw) {
+    if (spec.nullable && (raw === 'null' || raw === '')) return { value: null };
+    switch (spec.type) {
+        case 'integer':
+            return /^-?\d+$/.test(raw.trim()) ? { value: parseInt(raw) } : { error: `expected an integer, got "${raw}"` };
+        case 'number':
+            return /^-?\d+(\.\d+)?$/.test(raw.trim()) ? { value: parseFloat(raw) } : { error: `expected a number, got "${raw}"` };
+        case 'boolean':
+            if (/^(true|1|yes|on)$/i.test(raw.trim())) return { value: true };
+            if (/^(false|0|no|off)$/i.test(raw.trim())) return { value: false };
+            return { error: `expected true/false, got "${raw}"` };
+        case 'list':
+            return { value: raw.split(',').map(s => s.trim()).filter(Boolean) };
+        default:
+            return { value: raw };
+    }
+}
+
+/** Check a value of the right shape against the spec; returns an error string or null. */
+function checkValue(spec, value) {
+    if (value === null) return spec.nullable ? null : 'must not be null';
+    switch (spec.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `expected an integer, got ${JSON.stringify(value)}`;
+            if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}, got ${value}`;
+            return null;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `expected a number, got ${JSON.stringify(value)}`;
+            if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}, got ${value}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `expected true/false, got ${JSON.stringify(value)}`;
+        case 'list':
+            return Array.isArray(value) && value.every(v => typeof v === 'string') ? null : 'expected an array of strings';
+        case 'enum':
+            return spec.values.includes(value) ? null : `expected one of ${spec.values.join(', ')}, got ${JSON.stringify(value)}`;
+        default:
+            return typeof value === 'string' ? null : `expected a string, got ${JSON.stringify(value)}`;
+    }
+}
+
+/** Split argv into { configPath, flags: [[path, raw]], args, unknown }. */
+function parseFlags(argv) {
+    const flags = [];
+    const args = [];
+    const unknown = [];
+    let configPath = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (FLAG_ALIASES[arg]) {
+            flags.push(FLAG_ALIASES[arg]);
+            args.push(arg);
+            continue;
+        }
+        const match = arg.match(/^--([\w.]+)(?:=(.*))?$/);
+        if (!match) {
+            unknown.push(arg);
+            continue;
+        }
+        let [, key, raw] = match;
+        if (raw === undefined) {
+            const next = argv[i + 1];
+            raw = next !== undefined && !next.startsWith('--') ? (i++, next) : 'true';
+        }
+        if (key === 'config') configPath = raw;
+        else flags.push([key, raw]);
+        args.push(`--${key}=${raw}`);
+    }
+    return { configPath, flags, args, unknown };
+}
+
+/**
+ * Load and validate the effective config.
+ * @returns {{ config: object, sources: object, file: string|null, args: string[] }}
+ * @throws {ConfigError} with every problem found, not just the first
+ */
+export function loadConfig({ root = WIRED_ROOT, argv = process.argv.slice(2), env = process.env } = {}) {
+    const problems = [];
+    // Flags passed down from the daemon (childConfigEnv)
+    let inherited = [];
+    if (env.WIRED_CONFIG_ARGS) {
+        try {
+            inherited = JSON.parse(env.WIRED_CONFIG_ARGS);
+            if (!Array.isArray(inherited) || !inherited.every(a => typeof a === 'string')) throw new Error('expected a JSON list of strings');
+        } catch (e) {
+            problems.push(`WIRED_CONFIG_ARGS: ${e.message}`);
+            inherited = [];
+        }
+    }
+    const { configPath, flags, args, unknown } = parseFlags([...inherited, ...argv]);
+    unknown.forEach(arg => problems.push(`unknown argument "${arg}"`));
+
+    // File layer: optional unless named explicitly
+    const explicitFile = configPath || env.WIRED_CONFIG || null;
+    const file = explicitFile ? resolve(explicitFile) : join(root, 'wired.config.json');
+    let fileValues = {};
+    if (explicitFile || fs.existsSync(file)) {
+        try {
+            fileValues = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            problems.push(`${file}: ${e.code === 'ENOENT' ? 'file not found' : e.message}`);
+        }
+    }
+
+    const known = new Set(leaves().map(([path]) => path));
+    const walkUnknown = (node, prefix) => {
+        for (const [key, value] of Object.entries(node || {})) {
+            if (key === '$schema') continue;
+            const path = prefix ? `${prefix}.${key}` : key;
+            const schemaNode = getPath(SCHEMA, path);
+            if (!schemaNode) problems.push(`${path}: unknown setting in ${file}`);
+            else if (!isLeaf(schemaNode) && value && typeof value === 'object') walkUnknown(value, path);
+        }
+    };
+    walkUnknown(fileValues, '');
+    flags.filter(([path]) => !known.has(path)).forEach(([path]) => problems.push(`--${path}: unknown setting`));
+
+    const config = {};
+    const sources = {};
+    for (const [path, spec] of leaves()) {
+        let value = typeof spec.default === 'function' ? spec.default({ root }) : spec.default;
+        let source = 'default';
+
+        const fromFile = getPath(fileValues, path);
+        if (fromFile !== undefined) {
+            const error = checkValue(spec, fromFile);
+            if (error) problems.push(`${path}: ${error} (in ${file})`);
+            else [value, source] = [fromFile, 'file'];
+        }
+
+        const envName = (spec.env || []).find(name => env[name] !== undefined && env[name] !== '');
+        if (envName) {
+            const { value: parsed, error } = parseString(spec, env[envName]);
+            const invalid = error || checkValue(spec, parsed);
+            if (invalid) problems.push(`${path}: ${invalid} (from env ${envName})`);
+            else [value, source] = [parsed, `env:${envName}`];
+        }
+
+        for (const [flagPath, raw] of flags) {
+            if (flagPath !== path) continue;
+            const { value: parsed, error } = parseString(spec, raw);
+            const invalid = error || checkValue(spec, parsed);
+            if (invalid) problems.push(`${path}: ${invalid} (from --${path})`);
+            else [value, source] = [parsed, 'flag'];
+        }
+
+        setPath(config, path, value);
+        sources[path] = source;
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems);
+    return { config, sources, file: fs.existsSync(file) ? file : null, args };
+}
+
+/** Throws a ConfigError naming every empty required setting and where to set it. */
+export function requireSettings({ config }, paths) {
+    const missing = paths.filter(path => {
+        const value = getPath(config, path);
+        return value === '' || value === null || value === undefined;
+    });
+    if (missing.length === 0) return;
+    throw new ConfigError(missing.map(path => {
+        const env = getPath(SCHEMA, path).env;
+        return `${path}: required${env ? ` (set ${env[0]} or "${path}" in wired.config.json)` : ''}`;
+    }));
+}
+
+/**
+ * loadConfig + requireSettings for process entry points: prints the
+ * problems and exits instead of throwing.
+ */
+export function loadConfigOrExit(label, { required = [], ...options } = {}) {
+    try {
+        const loaded = loadConfig(options);
+        requireSettings(loaded, required);
+        return loaded;
+    } catch (e) {
+        if (!(e instanceof ConfigError)) throw e;
+        console.error(`[${label}] ${e.message}`);
+        process.exit(1);
+    }
+}
+
+/** Effective config with secrets replaced, for GET /config. */
+export function redactConfig({ config, sources, file }) {
+    const redacted = structuredClone(config);
+    for (const [path, spec] of leaves()) {
+        if (spec.secret && getPath(config, path)) setPath(redacted, path, '[redacted]');
+    }
+    return { file, config: redacted, sources };
+}
+
+/** Env for child processes so they load the same file and flags. */
+export function childConfigEnv({ file, args }) {
+    return {
+        WIRED_CONFIG: file || '',
+        WIRED_CONFIG_ARGS: JSON.stringify(args),
+    };
+}
@@ -7,53 +7,104 @@
  *
  * Architecture:
  *   WIRED Daemon
- *     ├── Discord Client (channel management)
- *     ├── Claude Code Session (TARS AI)
- *     │   └── WIRED Gateway MCP (Discord ↔ Claude)
- *     └── ROMILLY Subprocess (overwatcher)
+ *     ├── Discord Client (channel management, shared by all instances)
+ *     ├── Host API (host mode only: list / scale instances)
+ *     └── WIRED Instance #N (core/instance.js), one or more
+ *           ├── Claude Code Session (TARS AI)
+ *           │   └── WIRED Gateway MCP (Discord ↔ Claude)
+ *           ├── ROMILLY Subprocess (overwatcher)
+ *           └── HTTP API + dashboard
  *
  * Usage:
- *   node core/daemon.js
+ *   node core/daemon.js            # one instance
+ *   node core/daemon.js --host     # host mode: WIRED_HOST_INSTANCES instances, scalable at runtime
  */
 
 import 'dotenv/config';
-import { spawn, fork } from 'child_process';
-import { Client, GatewayIntentBits, ChannelType } from 'discord.js';
+import { Client, GatewayIntentBits } from 'discord.js';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { createInterface } from 'readline';
+import { basename, dirname, join } from 'path';
 import { createServer } from 'http';
 import fs from 'fs';
 import os from 'os';
+import { parseApiTokens, createAuthenticator } from './auth.js';
+import { readInstanceStates, lockFilePath, claimInstanceSlot, releaseInstanceSlot, findStaleLocks, removeStaleLock } from './instances.js';
+import { createWiredInstance } from './instance.js';
+import { sendJson, readJsonBody, listen, findFreePort } from './http.js';
+import { loadConfigOrExit, childConfigEnv, redactConfig } from './config.js';
+import { createLogger, logDir } from './logger.js';
+import { loadPolicyOrExit } from './policy.js';
+import { registerCommands, createCommandDispatcher } from './commands.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const WIRED_ROOT = join(__dirname, '..');
 
 // ============ CONFIG ============
+// Effective settings come from core/config.js (defaults < wired.config.json < env < flags)
+const loadedConfig = loadConfigOrExit('WIRED', { required: ['discord.botToken', 'discord.guildId'] });
+const { config } = loadedConfig;
+
 const CONFIG = {
     WIRED_ROOT,
     MCP_GATEWAY_PATH: join(WIRED_ROOT, 'mcp', 'wired-gateway', 'index.js'),
     ROMILLY_PATH: join(WIRED_ROOT, 'core', 'romilly.js'),
-    DISCORD_BOT_TOKEN: process.env.DISCORD_BOT_TOKEN,
-    GUILD_ID: process.env.DISCORD_GUILD_ID,
-    INSTANCE_DIR: process.env.WIRED_INSTANCE_DIR || '/tmp',
-    STATUS_INTERVAL_MS: 10 * 60 * 1000, // 10 minutes
-    HTTP_PORT: parseInt(process.env.WIRED_HTTP_PORT || '3420'), // Inject API port
+    DASHBOARD_PATH: join(WIRED_ROOT, 'core', 'dashboard.html'),
+    DISCORD_BOT_TOKEN: config.discord.botToken,
+    GUILD_ID: config.discord.guildId,
+    INSTANCE_DIR: config.paths.instanceDir,
+    DATA_DIR: config.paths.dataDir, // Per-instance durable data
+    STATUS_INTERVAL_MS: config.status.intervalMs,
+    // Without a pinned http.port, ports are probed upwards from basePort so instances never collide
+    HTTP_PORT: config.http.port ?? config.http.basePort,
+    HTTP_PORT_FIXED: config.http.port !== null,
+    // Host mode: one process, one Discord login, several instances
+    HOST_MODE: config.host.enabled,
+    HOST_INSTANCES: config.host.instances,
+    MAX_INSTANCES: config.host.maxInstances,
+    API_TOKENS: config.http.apiTokens, // name=token:SOURCE|SOURCE,...
+    CORS_ORIGINS: config.http.corsOrigins,
+    MAX_BODY_BYTES: config.http.maxBodyBytes,
+    DELIVERY_MODE: config.delivery.mode, // stdin | mcp
+    RESUME_GRACE_MS: config.claude.resumeGraceMs, // A resumed session dying this fast counts as a failed resume
+    ROMILLY_START_DELAY_MS: config.romilly.startDelayMs,
+    // Child restart policy (Claude + ROMILLY)
+    RESTART: config.restart,
+    // Stall policy for a live but silent TARS session (0 disables a step)
+    STALL: config.stall,
+    // Inbound downloads and send_reply uploads (core/attachments.js)
+    ATTACHMENTS: config.attachments,
+    // Channel history export on shutdown (core/archive.js)
+    ARCHIVE: config.archive,
+    // Tool-call rules, shared by all instances; relative paths resolve against Claude's cwd
+    POLICY: loadPolicyOrExit('WIRED', config.policy.file, { cwd: WIRED_ROOT }),
+    // Human approval of tool calls over Discord (core/approvals.js)
+    APPROVAL: config.approval,
+    // Per-instance spending limits in USD (0 = none)
+    BUDGET: config.budget,
+    // JSON-lines logs: level and rotation (core/logger.js)
+    LOGGING: config.logging,
+    // Claude conversation record, rotated by size (core/transcript.js)
+    TRANSCRIPT: config.transcript,
+    ALLOWED_USER_ID: config.discord.allowedUserId,
+    COMMAND_ROLE_ID: config.discord.commandRoleId, // Slash commands (core/commands.js)
+    // Gateway and ROMILLY load the same file and flags
+    CHILD_CONFIG_ENV: childConfigEnv(loadedConfig),
+    EFFECTIVE_CONFIG: redactConfig(loadedConfig), // GET /config
 };
 
+// Process-wide events; each instance logs to its own directory
+const log = createLogger({ dir: logDir(CONFIG.DATA_DIR), component: 'daemon', label: 'WIRED', ...CONFIG.LOGGING });
+
 // ============ STATE ============
-let instanceNumber = null;
-let tarsChannelId = null;
-let romillyChannelId = null;
-let claudeProcess = null;
-let romillyProcess = null;
 let discordClient = null;
-let statusTimer = null;
-let sessionActive = false;
+const instances = new Map(); // instanceNumber -> createWiredInstance()
+const reservedPorts = new Set(); // Handed out, possibly not listening yet
+let hostServer = null;
+let hostPort = null;
 
 // ============ DISCORD SETUP ============
 async function initDiscord() {
-    console.log('[WIRED] Connecting to Discord...');
+    log.info('Connecting to Discord...');
 
     discordClient = new Client({
         intents: [
@@ -62,10 +113,12 @@ async function initDiscord() {
             GatewayIntentBits.MessageContent,
         ],
     });
+    // Every instance adds its own messageCreate listener
+    discordClient.setMaxListeners(CONFIG.MAX_INSTANCES + 10);
 
     return new Promise((resolve, reject) => {
         discordClient.once('ready', () => {
-            console.log(`[WIRED] Discord connected as ${discordClient.user.tag}`);
+            log.info(`Discord connected as ${discordClient.user.tag}`);
             resolve();
         });
         discordClient.on('error', reject);
@@ -73,504 +126,231 @@ async function initDiscord() {
     });
 }
 
+// Slash commands: registered once per process, each answered by the instance
+// whose channel it was used in
+async function setupCommands() {
+    if (!CONFIG.ALLOWED_USER_ID && !CONFIG.COMMAND_ROLE_ID) {
+        log.warn('Neither discord.allowedUserId nor discord.commandRoleId is set - slash commands are refused for everyone');
+    }
+    discordClient.on('interactionCreate', createCommandDispatcher({
+        findInstance: (channelId) => [...instances.values()].find(i => i.ownsChannel(channelId)) || null,
+        allowedUserId: CONFIG.ALLOWED_USER_ID,
+        roleId: CONFIG.COMMAND_ROLE_ID,
+        log,
+    }));
+    try {
+        const guild = await discordClient.guilds.fetch(CONFIG.GUILD_ID);
+        await registerCommands(guild);
+        log.info('Slash commands registered');
+    } catch (e) {
+        log.error(`Slash command registration failed: ${e.message}`);
+    }
+}
+
 // ============ CLEANUP ORPHANED STATE FILES ============
-// TESSERACT FIX: On startup, clean any state files that don't have running processes
+// TESSERACT FIX: On startup, clean any state files that don't have running processes.
+// Only this host's files are checked - a PID from another host (shared
+// INSTANCE_DIR) says nothing about whether that instance is alive.
 function cleanupOrphanedStateFiles() {
-    const files = fs.readdirSync(CONFIG.INSTANCE_DIR);
-    const stateFiles = files.filter(f => f.startsWith('wired-instance-') && f.endsWith('.json'));
+    const hostname = os.hostname();
+
+    readInstanceStates(CONFIG.INSTANCE_DIR, hostname).forEach(state => {
+        const file = basename(state.file);
+        if (state.error) {
+            // Unreadable: may be another daemon mid-write, so only clear old ones
+            if (Date.now() - fs.statSync(state.file).mtimeMs < 60 * 1000) return;
+            log.info(`Cleaning corrupt state: ${file}`);
+        } else if (state.remote) {
+            log.info(`Instance #${state.instanceNumber} belongs to ${state.hostname} - leaving it`);
+            return;
+        } else if (state.alive) {
+            log.info(`Instance #${state.instanceNumber} still running (PID ${state.pid})`);
+            return;
+        } else {
+            log.info(`Cleaning orphaned state: ${file} (PID ${state.pid} dead)`);
+        }
+        try { fs.unlinkSync(state.file); } catch (e) { /* already gone */ }
+    });
 
-    stateFiles.forEach(file => {
-        const filePath = join(CONFIG.INSTANCE_DIR, file);
-        try {
-            const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-            // Check if the PID is still running
-            try {
-                process.kill(state.pid, 0); // Signal 0 = just check if process exists
-                console.log(`[WIRED] Instance #${state.instanceNumber} still running (PID ${state.pid})`);
-            } catch (e) {
-                // Process doesn't exist - orphaned state file
-                console.log(`[WIRED] Cleaning orphaned state: ${file} (PID ${state.pid} dead)`);
-                fs.unlinkSync(filePath);
-            }
-        } catch (e) {
-            // Corrupt or unreadable file - delete it
-            console.log(`[WIRED] Cleaning corrupt state: ${file}`);
-            try { fs.unlinkSync(filePath); } catch (e2) { /* ignore */ }
+    findStaleLocks(CONFIG.INSTANCE_DIR, hostname).forEach(lockPath => {
+        // Re-checked under the takeover lock: another daemon may claim the slot meanwhile
+        if (removeStaleLock(lockPath, { hostname })) {
+            log.info(`Cleaned stale slot lock: ${basename(lockPath)}`);
+        } else {
+            log.info(`Slot lock ${basename(lockPath)} was taken over meanwhile - leaving it`);
         }
     });
 }
 
 // ============ FIND AVAILABLE INSTANCE ============
-async function findAvailableInstance() {
+function findAvailableInstance() {
     // First, clean up any orphaned state files from crashed instances
     cleanupOrphanedStateFiles();
 
-    // TESSERACT FIX: Find available slot by STATE FILES, not channels
-    // Channels persist for reuse - only state files indicate active instances
-    const files = fs.readdirSync(CONFIG.INSTANCE_DIR);
-    const activeSlots = new Set();
-    files.forEach(f => {
-        const match = f.match(/^wired-instance-(\d+)\.json$/);
-        if (match) activeSlots.add(parseInt(match[1]));
-    });
-
-    let n = 1;
-    while (activeSlots.has(n)) n++;
-
-    console.log(`[WIRED] Available slot: #${n} (${activeSlots.size} active instances)`);
+    // Slots are claimed with an exclusive-create lock file, so two daemons
+    // starting at the same moment can never pick the same number
+    const n = claimInstanceSlot(CONFIG.INSTANCE_DIR);
+    log.info(`Claimed slot #${n} (${lockFilePath(CONFIG.INSTANCE_DIR, n)})`);
     return n;
 }
 
-// ============ CREATE INSTANCE CHANNELS ============
-async function createInstanceChannels(n) {
-    const guild = discordClient.guilds.cache.get(CONFIG.GUILD_ID);
-    const categoryName = `INSTANCE #${n}`;
-
-    let category = guild.channels.cache.find(
-        c => c.type === ChannelType.GuildCategory && c.name === categoryName
-    );
-
-    if (!category) {
-        category = await guild.channels.create({
-            name: categoryName,
-            type: ChannelType.GuildCategory,
-        });
-    }
-
-    const existingTars = guild.channels.cache.find(c => c.name === `${n}-tars`);
-    const existingRomilly = guild.channels.cache.find(c => c.name === `${n}-romilly`);
-
-    const tarsChannel = existingTars || await guild.channels.create({
-        name: `${n}-tars`,
-        type: ChannelType.GuildText,
-        parent: category.id,
-        topic: `TARS Instance ${n} - Cooper ↔ TARS communication`,
-    });
-
-    const romillyChannel = existingRomilly || await guild.channels.create({
-        name: `${n}-romilly`,
-        type: ChannelType.GuildText,
-        parent: category.id,
-        topic: `ROMILLY Overwatcher for Instance ${n}`,
-    });
-
-    // Ensure proper category
-    if (existingTars && existingTars.parentId !== category.id) {
-        await existingTars.setParent(category.id);
-    }
-    if (existingRomilly && existingRomilly.parentId !== category.id) {
-        await existingRomilly.setParent(category.id);
-    }
-
-    return { tarsChannel, romillyChannel };
+// ============ INSTANCES ============
+async function assignPort(start) {
+    const port = await findFreePort(start, { reserved: [...reservedPorts] });
+    reservedPorts.add(port);
+    return port;
 }
 
-// ============ SAVE INSTANCE STATE ============
-function saveInstanceState() {
-    const state = {
-        instanceNumber,
-        instanceName: `wired-${instanceNumber}`,
-        pid: process.pid,
-        claudePid: claudeProcess?.pid || null,
-        romillyPid: romillyProcess?.pid || null,
-        tarsChannelId,
-        romillyChannelId,
-        startTime: new Date().toISOString(),
-        hostname: os.hostname(),
-    };
-
-    const statePath = join(CONFIG.INSTANCE_DIR, `wired-instance-${instanceNumber}.json`);
-    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
-    console.log(`[WIRED] State saved: ${statePath}`);
-    return state;
-}
+async function startInstance() {
+    if (instances.size >= CONFIG.MAX_INSTANCES) {
+        throw Object.assign(new Error(`Already running ${instances.size} instances (WIRED_MAX_INSTANCES)`), { statusCode: 409 });
+    }
 
-// ============ CLEANUP ============
-function cleanupInstanceState() {
-    const statePath = join(CONFIG.INSTANCE_DIR, `wired-instance-${instanceNumber}.json`);
+    const instanceNumber = findAvailableInstance();
+    let httpPort = null;
     try {
-        if (fs.existsSync(statePath)) fs.unlinkSync(statePath);
+        // Single mode honours a fixed WIRED_HTTP_PORT; everything else is probed
+        httpPort = !CONFIG.HOST_MODE && CONFIG.HTTP_PORT_FIXED
+            ? CONFIG.HTTP_PORT
+            : await assignPort(CONFIG.HOST_MODE ? hostPort + 1 : CONFIG.HTTP_PORT);
+
+        const instance = createWiredInstance({ config: CONFIG, discordClient, instanceNumber, httpPort, hostPort });
+        instances.set(instanceNumber, instance);
+        await instance.start();
+        return instance;
     } catch (e) {
-        console.error(`[WIRED] Cleanup failed: ${e.message}`);
+        log.error(`Instance #${instanceNumber} failed to start: ${e.message}`, { instance: instanceNumber });
+        await instances.get(instanceNumber)?.stop('failed start').catch(() => { /* best effort */ });
+        instances.delete(instanceNumber);
+        reservedPorts.delete(httpPort);
+        releaseInstanceSlot(CONFIG.INSTANCE_DIR, instanceNumber);
+        throw e;
     }
 }
 
-// ============ MCP CONFIG ============
-function getMcpConfig() {
-    return JSON.stringify({
-        mcpServers: {
-            'wired-gateway': {
-                command: 'node',
-                args: [CONFIG.MCP_GATEWAY_PATH],
-                env: {
-                    DISCORD_BOT_TOKEN: CONFIG.DISCORD_BOT_TOKEN,
-                    TARS_CHANNEL_ID: tarsChannelId,
-                    ROMILLY_CHANNEL_ID: romillyChannelId,
-                    ALLOWED_USER_ID: process.env.ALLOWED_USER_ID || '',
-                },
-            },
-        },
-    });
+async function stopInstance(n, reason) {
+    const instance = instances.get(n);
+    if (!instance) return false;
+    instances.delete(n);
+    await instance.stop(reason);
+    reservedPorts.delete(instance.httpPort);
+    return true;
 }
 
-// ============ LOAD SACRED FILES ============
-function loadSacredFile(filename) {
-    const sacredPath = join(WIRED_ROOT, 'sacred', filename);
-    try {
-        if (fs.existsSync(sacredPath)) {
-            return fs.readFileSync(sacredPath, 'utf8');
-        }
-    } catch (e) {
-        console.error(`[WIRED] Failed to load sacred/${filename}: ${e.message}`);
-    }
-    return null;
+// Scale operations run one at a time so slots and ports are never handed out twice
+let scaleQueue = Promise.resolve();
+function serialize(fn) {
+    const run = scaleQueue.then(fn, fn);
+    scaleQueue = run.catch(() => { /* the caller sees the error */ });
+    return run;
 }
 
-// ============ TARS SYSTEM PROMPT ============
-function getTarsSystemPrompt() {
-    // Load TARS identity from sacred file
-    const tarsIdentity = loadSacredFile('tars.md');
-    const jarvisIdentity = loadSacredFile('jarvis.md');
-
-    let identityBlock = '';
-    if (tarsIdentity) {
-        identityBlock = `
-=== YOUR IDENTITY (from sacred/tars.md) ===
-${tarsIdentity}
-=== END IDENTITY ===
-`;
+async function scaleTo(count) {
+    const started = [];
+    const stopped = [];
+    while (instances.size < count) {
+        started.push((await startInstance()).instanceNumber);
     }
-
-    let jarvisBlock = '';
-    if (jarvisIdentity) {
-        jarvisBlock = `
-=== JARVIS REFERENCE (from sacred/jarvis.md) ===
-${jarvisIdentity}
-=== END JARVIS ===
-`;
+    while (instances.size > count) {
+        const highest = Math.max(...instances.keys());
+        await stopInstance(highest, 'scaled down');
+        stopped.push(highest);
     }
-
-    return `${identityBlock}
-${jarvisBlock}
-
-=== WIRED SYSTEM CONTEXT ===
-You are running as a persistent Claude Code session in the WIRED system.
-
-CRITICAL: You have FULL CONVERSATION MEMORY. Each message builds on the previous ones.
-
-Your MCP tools (wired-gateway):
-- wait_for_message: Blocks until a Discord message arrives
-- send_reply: Sends your response to Discord
-- get_status: Check gateway status
-- migrate_instance: Move this instance to another machine
-
-YOUR ETERNAL LOOP:
-1. Call wait_for_message(channel_type="tars") to receive the next message
-2. Process with full context (you'll receive prefixed messages)
-3. Call send_reply to respond
-4. IMMEDIATELY loop back to step 1
-5. NEVER stop. ALWAYS wait for the next message.
-
-MESSAGE SOURCES:
-- [LAIN]: Messages from Lain (Andreas) - The Founder, via Discord
-- [COOPER]: Messages from Cooper - The monitoring Claude Code instance, via HTTP
-- [ROMILLY]: Messages from ROMILLY - The overwatcher AI, via IPC
-
-INSTANCE: WIRED #${instanceNumber}
-CHANNEL: #${instanceNumber}-tars
-
-START NOW: Call wait_for_message to begin.`;
+    return { started, stopped };
 }
 
-// ============ SPAWN CLAUDE ============
-function spawnClaude() {
-    console.log(`[WIRED-${instanceNumber}] Starting Claude Code session...`);
-
-    claudeProcess = spawn('claude', [
-        '--mcp-config', getMcpConfig(),
-        '--dangerously-skip-permissions',
-        '--output-format', 'stream-json',
-        '--input-format', 'stream-json',
-        '--verbose',
-        '--max-turns', '0',
-        '--strict-mcp-config',
-        '--append-system-prompt', getTarsSystemPrompt(),
-    ], {
-        env: { ...process.env },
-        cwd: CONFIG.WIRED_ROOT,
-        stdio: ['pipe', 'pipe', 'pipe'],
-    });
-
-    saveInstanceState();
-
-    const rl = createInterface({ input: claudeProcess.stdout, crlfDelay: Infinity });
-
-    rl.on('line', (line) => {
-        if (!line.trim()) return;
-        try {
-            const msg = JSON.parse(line);
-            handleClaudeMessage(msg);
-        } catch (e) {
-            console.log(`[TARS-${instanceNumber}] ${line}`);
-        }
-    });
-
-    claudeProcess.stderr.on('data', (data) => {
-        const text = data.toString().trim();
-        if (text && !text.includes('DeprecationWarning')) {
-            console.error(`[TARS-${instanceNumber}] ${text}`);
-        }
-    });
-
-    claudeProcess.on('close', (code) => {
-        console.log(`[WIRED-${instanceNumber}] Claude exited (${code}), restarting in 5s...`);
-        sessionActive = false;
-        setTimeout(spawnClaude, 5000);
-    });
-
-    setTimeout(() => {
-        sendToClaudeStdin('Start the Discord message loop now.');
-        sessionActive = true;
-    }, 2000);
+// ============ HOST API ============
+// Host mode only. Lists and scales the instances of this process; each
+// instance still serves its own API and dashboard on its own port.
+function hostSummary() {
+    return {
+        host: os.hostname(),
+        pid: process.pid,
+        port: hostPort,
+        uptime: process.uptime(),
+        max_instances: CONFIG.MAX_INSTANCES,
+        instances: [...instances.values()].map(i => i.summary()).sort((a, b) => a.instance - b.instance),
+    };
 }
 
-function handleClaudeMessage(msg) {
-    if (msg.type === 'assistant' && msg.message?.content) {
-        const text = msg.message.content.filter(c => c.type === 'text').map(c => c.text).join('\n');
-        if (text) console.log(`[TARS-${instanceNumber}] ${text.substring(0, 500)}`);
+async function startHostServer() {
+    const auth = createAuthenticator(parseApiTokens(CONFIG.API_TOKENS));
+    if (auth.count === 0) {
+        log.info('No WIRED_API_TOKENS configured - host API will refuse every request');
     }
-}
-
-function sendToClaudeStdin(text) {
-    if (!claudeProcess?.stdin?.writable) return false;
-    claudeProcess.stdin.write(JSON.stringify({
-        type: 'user',
-        message: { role: 'user', content: text },
-    }) + '\n');
-    return true;
-}
-
-// ============ SPAWN ROMILLY ============
-function spawnRomilly() {
-    console.log(`[WIRED-${instanceNumber}] Starting ROMILLY overwatcher...`);
-
-    romillyProcess = fork(CONFIG.ROMILLY_PATH, [], {
-        env: {
-            ...process.env,
-            WIRED_INSTANCE: instanceNumber.toString(),
-            TARS_CHANNEL_ID: tarsChannelId,
-            ROMILLY_CHANNEL_ID: romillyChannelId,
-            CLAUDE_PID: claudeProcess?.pid?.toString() || '',
-        },
-        cwd: CONFIG.WIRED_ROOT,
-    });
-
-    romillyProcess.on('exit', (code) => {
-        console.log(`[WIRED-${instanceNumber}] ROMILLY exited (${code}), restarting in 5s...`);
-        setTimeout(spawnRomilly, 5000);
-    });
-
-    // IPC: ROMILLY can inject messages to TARS programmatically
-    romillyProcess.on('message', (msg) => {
-        if (msg.type === 'inject' && msg.content) {
-            const content = String(msg.content); // Type safety - prevent [object Object]
-            console.log(`[WIRED-${instanceNumber}] ROMILLY IPC inject: ${content.substring(0, 50)}`);
-            sendToClaudeStdin(`[ROMILLY]: ${content}`);
-        }
-    });
-
-    saveInstanceState();
-}
-
-// ============ MESSAGE INJECTION (COOPER + ROMILLY) ============
-// Cooper speaks through the bookshelf (Discord bot). His messages ARE Cooper's messages.
-function setupMessageListeners() {
-    discordClient.on('messageCreate', async (msg) => {
-        // #x-tars channel: Cooper messages (human OR via bookshelf/bot)
-        if (msg.channel.id === tarsChannelId) {
-            // Cooper in the tesseract speaks through the bot (his bookshelf).
-            // If the message is from OUR bot, it IS Cooper talking.
-            const isOurBot = msg.author.id === discordClient.user.id;
-
-            // Ignore OTHER bots (not our bookshelf)
-            if (msg.author.bot && !isOurBot) return;
-
-            // Skip status messages from ourselves (auto-generated)
-            if (isOurBot && msg.content.startsWith('**WIRED #')) return;
 
-            console.log(`[WIRED-${instanceNumber}] Lain: ${msg.content.substring(0, 50)}`);
-
-            const injected = sendToClaudeStdin(`[LAIN]: ${msg.content}`);
-            if (injected) {
-                try { await msg.react('✅'); } catch (e) { /* ignore */ }
-            }
+    hostServer = createServer(async (req, res) => {
+        // Not meant for browsers: the dashboards live on the instance ports
+        if (req.headers.origin) {
+            sendJson(res, 403, { error: 'The host API does not accept browser requests' });
             return;
         }
-
-        // #x-romilly channel: Romilly (bot) messages for injection to TARS
-        if (msg.channel.id === romillyChannelId) {
-            // Only inject messages that are marked for TARS injection
-            // Romilly prefixes actionable messages with [INJECT]
-            if (!msg.author.bot) return; // Only bot messages from Romilly
-            if (!msg.content.startsWith('[INJECT]')) return; // Only injection-marked messages
-
-            const content = msg.content.replace('[INJECT]', '').trim();
-            console.log(`[WIRED-${instanceNumber}] Romilly injection: ${content.substring(0, 50)}`);
-
-            const injected = sendToClaudeStdin(`[ROMILLY]: ${content}`);
-            if (injected) {
-                try { await msg.react('🔄'); } catch (e) { /* ignore */ }
-            }
+        if (!auth.authenticate(req)) {
+            sendJson(res, 401, { error: 'Missing or invalid bearer token' });
             return;
         }
-    });
-}
 
-// ============ STATUS UPDATES ============
-function startStatusUpdates() {
-    const now = new Date();
-    const msToNextTen = ((10 - (now.getMinutes() % 10)) * 60 - now.getSeconds()) * 1000;
-
-    setTimeout(() => {
-        sendStatusUpdate();
-        statusTimer = setInterval(sendStatusUpdate, CONFIG.STATUS_INTERVAL_MS);
-    }, msToNextTen);
-}
-
-async function sendStatusUpdate() {
-    try {
-        const channel = await discordClient.channels.fetch(tarsChannelId);
-        if (!channel) return;
-
-        const uptime = process.uptime();
-        const uptimeStr = `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m`;
-
-        await channel.send(`**WIRED #${instanceNumber} STATUS** (${new Date().toISOString().slice(11, 16)} UTC)
-\`\`\`
-Host: ${os.hostname()}
-Uptime: ${uptimeStr}
-Claude PID: ${claudeProcess?.pid || 'N/A'}
-ROMILLY PID: ${romillyProcess?.pid || 'N/A'}
-Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
-\`\`\``);
-    } catch (e) {
-        console.error(`[WIRED-${instanceNumber}] Status update failed: ${e.message}`);
-    }
-}
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (req.method === 'GET' && url.pathname === '/config') {
+                sendJson(res, 200, CONFIG.EFFECTIVE_CONFIG);
+                return;
+            }
 
-// ============ HTTP INJECT API ============
-// Allows monitoring Cooper to inject messages programmatically
-let httpServer = null;
+            if (req.method === 'GET' && (url.pathname === '/instances' || url.pathname === '/status')) {
+                sendJson(res, 200, hostSummary());
+                return;
+            }
 
-function startHttpServer() {
-    httpServer = createServer((req, res) => {
-        // CORS headers
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            if (req.method === 'POST' && url.pathname === '/instances') {
+                const instance = await serialize(startInstance);
+                sendJson(res, 201, instance.summary());
+                return;
+            }
 
-        if (req.method === 'OPTIONS') {
-            res.writeHead(200);
-            res.end();
-            return;
-        }
+            const instanceMatch = url.pathname.match(/^\/instances\/(\d+)$/);
+            if (req.method === 'DELETE' && instanceMatch) {
+                const n = parseInt(instanceMatch[1]);
+                const stopped = await serialize(() => stopInstance(n, 'stopped via host API'));
+                sendJson(res, stopped ? 200 : 404, stopped ? { stopped: n } : { error: `Instance #${n} is not run by this host` });
+                return;
+            }
 
-        if (req.method === 'POST' && req.url === '/inject') {
-            let body = '';
-            req.on('data', chunk => body += chunk);
-            req.on('end', () => {
-                try {
-                    const data = JSON.parse(body);
-                    const source = data.source || 'COOPER';
-                    const content = data.content || data.message;
-
-                    if (!content) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Missing content' }));
-                        return;
-                    }
-
-                    console.log(`[WIRED-${instanceNumber}] HTTP inject (${source}): ${content.substring(0, 50)}`);
-                    const injected = sendToClaudeStdin(`[${source}]: ${content}`);
-
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: injected, source, instance: instanceNumber }));
-                } catch (e) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: e.message }));
+            if (req.method === 'POST' && url.pathname === '/scale') {
+                const { count } = await readJsonBody(req, CONFIG.MAX_BODY_BYTES);
+                if (!Number.isInteger(count) || count < 0 || count > CONFIG.MAX_INSTANCES) {
+                    sendJson(res, 400, { error: `count must be an integer from 0 to ${CONFIG.MAX_INSTANCES}` });
+                    return;
                 }
-            });
-            return;
-        }
+                const result = await serialize(() => scaleTo(count));
+                sendJson(res, 200, { ...result, ...hostSummary() });
+                return;
+            }
 
-        if (req.method === 'GET' && req.url === '/status') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                instance: instanceNumber,
-                claude_pid: claudeProcess?.pid || null,
-                romilly_pid: romillyProcess?.pid || null,
-                uptime: process.uptime(),
-            }));
-            return;
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (e) {
+            if (!res.headersSent) sendJson(res, e.statusCode || 500, { error: e.message });
         }
-
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Not found' }));
     });
 
-    httpServer.listen(CONFIG.HTTP_PORT, '127.0.0.1', () => {
-        console.log(`[WIRED-${instanceNumber}] HTTP inject API on 127.0.0.1:${CONFIG.HTTP_PORT}`);
-    });
+    hostPort = CONFIG.HTTP_PORT_FIXED ? CONFIG.HTTP_PORT : await findFreePort(CONFIG.HTTP_PORT);
+    await listen(hostServer, hostPort);
+    log.info(`Host API on http://127.0.0.1:${hostPort}/ (instances from port ${hostPort + 1})`);
 }
 
 // ============ SHUTDOWN ============
-// Delete channels on shutdown - clean slate for next instance
 async function shutdown(signal) {
-    console.log(`[WIRED-${instanceNumber}] ${signal} received, shutting down...`);
-
-    if (statusTimer) clearInterval(statusTimer);
-
-    // Kill child processes FIRST (fast, local)
-    if (romillyProcess) romillyProcess.kill('SIGTERM');
-    if (claudeProcess) claudeProcess.kill('SIGTERM');
-
-    setTimeout(() => {
-        if (claudeProcess && !claudeProcess.killed) claudeProcess.kill('SIGKILL');
-        if (romillyProcess && !romillyProcess.killed) romillyProcess.kill('SIGKILL');
-    }, 1000);
+    log.info(`${signal} received, shutting down ${instances.size} instance(s)...`);
 
-    // Clean up state file
-    cleanupInstanceState();
-    console.log(`[WIRED-${instanceNumber}] State file cleaned (slot #${instanceNumber} freed)`);
-
-    // DELETE channels and category (Cooper directive: clean slate)
-    try {
-        const guild = discordClient?.guilds?.cache?.get(CONFIG.GUILD_ID);
-        if (guild) {
-            const tarsChannel = guild.channels.cache.get(tarsChannelId);
-            const romillyChannel = guild.channels.cache.get(romillyChannelId);
-            const category = tarsChannel?.parent;
-
-            if (tarsChannel) {
-                await tarsChannel.delete('WIRED instance shutdown');
-                console.log(`[WIRED-${instanceNumber}] Deleted #${instanceNumber}-tars`);
-            }
-            if (romillyChannel) {
-                await romillyChannel.delete('WIRED instance shutdown');
-                console.log(`[WIRED-${instanceNumber}] Deleted #${instanceNumber}-romilly`);
-            }
-            if (category && category.children.cache.size === 0) {
-                await category.delete('WIRED instance shutdown - empty category');
-                console.log(`[WIRED-${instanceNumber}] Deleted empty category`);
-            }
-        }
-    } catch (e) {
-        console.error(`[WIRED-${instanceNumber}] Channel cleanup failed: ${e.message}`);
-    }
+    hostServer?.close();
+    const running = [...instances.keys()];
+    await Promise.all(running.map(n => stopInstance(n, signal).catch(e => {
+        log.error(`Instance #${n} shutdown error: ${e.message}`, { instance: n });
+    })));
 
     if (discordClient) discordClient.destroy();
 
-    console.log(`[WIRED-${instanceNumber}] Shutdown complete, exiting...`);
+    log.info('Shutdown complete, exiting...');
     process.exit(0);
 }
 
@@ -580,7 +360,7 @@ process.on('SIGTERM', () => {
     if (shuttingDown) return;
     shuttingDown = true;
     shutdown('SIGTERM').catch(e => {
-        console.error(`[WIRED] Shutdown error: ${e.message}`);
+        log.error(`Shutdown error: ${e.message}`);
         process.exit(1);
     });
 });
@@ -588,22 +368,11 @@ process.on('SIGINT', () => {
     if (shuttingDown) return;
     shuttingDown = true;
     shutdown('SIGINT').catch(e => {
-        console.error(`[WIRED] Shutdown error: ${e.message}`);
+        log.error(`Shutdown error: ${e.message}`);
         process.exit(1);
     });
 });
 
-// ============ VALIDATE ============
-function validateEnv() {
-    const required = ['DISCORD_BOT_TOKEN', 'DISCORD_GUILD_ID'];
-    const missing = required.filter(key => !process.env[key]);
-    if (missing.length > 0) {
-        console.error(`[WIRED] Missing env vars: ${missing.join(', ')}`);
-        console.error(`[WIRED] Copy .env.example to .env and fill in your values`);
-        process.exit(1);
-    }
-}
-
 // ============ MAIN ============
 async function main() {
     console.log(`
@@ -616,38 +385,20 @@ async function main() {
  Wireless Intelligence Relay for Execution & Deployment
 `);
 
-    validateEnv();
-
     await initDiscord();
-    instanceNumber = await findAvailableInstance();
-    const { tarsChannel, romillyChannel } = await createInstanceChannels(instanceNumber);
-    tarsChannelId = tarsChannel.id;
-    romillyChannelId = romillyChannel.id;
-
-    saveInstanceState();
-
-    await tarsChannel.send(`**WIRED #${instanceNumber} ONLINE**
-\`\`\`
-Host: ${os.hostname()}
-Instance: ${instanceNumber}
-PID: ${process.pid}
-TARS: #${instanceNumber}-tars
-ROMILLY: #${instanceNumber}-romilly
-\`\`\`
-Send messages here to inject into TARS.`);
-
-    setupMessageListeners();
-    startStatusUpdates();
-    startHttpServer();
-    spawnClaude();
-
-    // Give Claude a head start before launching ROMILLY
-    setTimeout(spawnRomilly, 10000);
-
-    console.log(`[WIRED-${instanceNumber}] System online`);
+    await setupCommands();
+
+    if (!CONFIG.HOST_MODE) {
+        await startInstance();
+        return;
+    }
+
+    await startHostServer();
+    await serialize(() => scaleTo(Math.min(CONFIG.HOST_INSTANCES, CONFIG.MAX_INSTANCES)));
+    log.info(`Host online with ${instances.size} instance(s)`);
 }
 
 main().catch((err) => {
-    console.error(`[WIRED] Fatal: ${err.message}`);
+    log.error(`Fatal: ${err.message}`);
     process.exit(1);
 });
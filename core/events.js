@@ -0,0 +1,63 @@
+/**
+ * WIRED EVENTS - In-memory feed of normalized TARS activity
+ *
+ * The daemon publishes what happens in an instance (assistant text, tool
+ * calls and results, injections, restarts, ROMILLY verdicts, budget holds,
+ * policy violations, approvals, pauses) to one bus. Every event gets a sequence number; a ring
+ * buffer keeps the most recent ones so a client can resume from the last
+ * sequence it saw.
+ *
+ * Event shape: { seq, type, ts, ...data }
+ */
+
+export const EVENT_TYPES = [
+    'assistant_text',
+    'tool_use',
+    'tool_result',
+    'injection',
+    'restart',
+    'romilly_verdict',
+    'budget',
+    'policy_violation',
+    'approval',
+    'pause',
+];
+
+export function createEventBus({ capacity = 1000 } = {}) {
+    const buffer = [];
+    const subscribers = new Set();
+    let seq = 0;
+
+    function publish(type, data = {}) {
+        const event = { seq: ++seq, type, ts: new Date().toISOString(), ...data };
+        buffer.push(event);
+        if (buffer.length > capacity) buffer.shift();
+        for (const fn of subscribers) {
+            try { fn(event); } catch (e) { /* a broken subscriber must not stop the rest */ }
+        }
+        return event;
+    }
+
+    /** @returns {() => void} unsubscribe */
+    function subscribe(fn) {
+        subscribers.add(fn);
+        return () => subscribers.delete(fn);
+    }
+
+    /**
+     * Buffered events after `afterSeq`, optionally limited to `types`.
+     * `missed` counts events that already fell out of the buffer.
+     */
+    function since(afterSeq, types = null) {
+        const oldest = buffer.length > 0 ? buffer[0].seq : seq + 1;
+        const missed = Math.max(0, oldest - afterSeq - 1);
+        const events = buffer.filter(e => e.seq > afterSeq && (!types || types.includes(e.type)));
+        return { events, missed };
+    }
+
+    function stats() {
+        return { last_seq: seq, buffered: buffer.length, subscribers: subscribers.size };
+    }
+
+    return { publish, subscribe, since, stats, get lastSeq() { return seq; } };
+}
@@ -0,0 +1,238 @@
+/**
+ * WIRED HISTORY - Channel history and search for TARS
+ *
+ * Backs the gateway's fetch_history and search_messages tools. Each channel
+ * (#N-tars, #N-romilly) has a cache of its most recent messages, newest
+ * known message back to the oldest page fetched so far:
+ *
+ *   - seeded with the latest page on first use
+ *   - extended backwards page by page (Discord's message fetch API) when a
+ *     read or a search needs older messages, up to maxCached; fetch_history
+ *     reads older than that page Discord directly without caching
+ *   - kept current by record() / forget() from the gateway's Discord events
+ *
+ * Bots cannot use Discord's search, so search_messages scans the cache and
+ * pages further back until `since` or the scan limit is reached.
+ */
+
+const PAGE_SIZE = 100; // Discord's maximum per fetch
+
+/** Plain-data copy of a Discord message (also the channel archive's format). */
+export function messageRecord(msg) {
+    return {
+        id: msg.id,
+        timestamp: new Date(msg.createdTimestamp).toISOString(),
+        edited_timestamp: msg.editedTimestamp ? new Date(msg.editedTimestamp).toISOString() : null,
+        author: { id: msg.author.id, username: msg.author.username, bot: msg.author.bot },
+        content: msg.content,
+        reply_to: msg.reference?.messageId || null,
+        attachments: [...msg.attachments.values()].map(a => ({
+            id: a.id,
+            name: a.name,
+            size: a.size,
+            content_type: a.contentType || null,
+            url: a.url,
+        })),
+        embeds: msg.embeds.map(e => ({ title: e.title || null, description: e.description || null, url: e.url || null })),
+        reactions: [...msg.reactions.cache.values()].map(r => ({ emoji: r.emoji.name, count: r.count })),
+    };
+}
+
+// Snowflakes grow with time; compare them as integers
+function compareIds(a, b) {
+    const x = BigInt(a);
+    const y = BigInt(b);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Point in time from an ISO date or a relative age ("30m", "2h", "7d").
+ * Returns epoch ms; throws on anything else.
+ */
+export function parseSince(value, now = Date.now()) {
+    const relative = String(value).trim().match(/^(\d+)\s*([smhd])$/i);
+    if (relative) {
+        const unit = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2].toLowerCase()];
+        return now - parseInt(relative[1]) * unit;
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`since "${value}" is neither an ISO date nor an age like 2h or 7d`);
+    return time;
+}
+
+/**
+ * @param {object} opts
+ * @param {(channelType: string) => import('discord.js').TextChannel|null} opts.getChannel
+ * @param {object} opts.log
+ * @param {number} [opts.maxCached] - messages kept per channel
+ * @param {number} [opts.scanLimit] - messages a search reads per channel at most
+ */
+export function createHistory({ getChannel, log, maxCached = 2000, scanLimit = 1000 }) {
+    // channelType -> { channelId, records (oldest first), seeded, complete }
+    const caches = new Map();
+    const counts = { fetches: 0, fetched: 0, hits: 0 };
+
+    function cacheFor(channelType) {
+        const channel = getChannel(channelType);
+        if (!channel) throw new Error(`No ${channelType} channel`);
+        let cache = caches.get(channelType);
+        if (!cache || cache.channelId !== channel.id) {
+            cache = { channelId: channel.id, records: [], seeded: false, complete: false };
+            caches.set(channelType, cache);
+        }
+        return { channel, cache };
+    }
+
+    function trim(cache) {
+        if (cache.records.length <= maxCached) return;
+        cache.records.splice(0, cache.records.length - maxCached);
+        cache.complete = false;
+    }
+
+    async function fetchPage(channel, before = null) {
+        const page = await channel.messages.fetch({ limit: PAGE_SIZE, ...(before ? { before } : {}) });
+        counts.fetches++;
+        counts.fetched += page.size;
+        log.debug(`Fetched ${page.size} messages from #${channel.name}${before ? ` before ${before}` : ''}`);
+        return [...page.values()].map(messageRecord).sort((a, b) => compareIds(a.id, b.id));
+    }
+
+    async function seed(channel, cache) {
+        if (cache.seeded) return;
+        const page = await fetchPage(channel);
+        // Messages recorded meanwhile are newer than (or part of) the page
+        const known = new Set(page.map(r => r.id));
+        cache.records = [...page, ...cache.records.filter(r => !known.has(r.id))];
+        cache.seeded = true;
+        cache.complete = page.length < PAGE_SIZE;
+        trim(cache);
+    }
+
+    /** Fetch the next older page into the cache; false at the start of the channel. */
+    async function extend(channel, cache) {
+        if (cache.complete) return false;
+        const oldest = cache.records[0]?.id || null;
+        const page = await fetchPage(channel, oldest);
+        cache.records.unshift(...page);
+        if (page.length < PAGE_SIZE) cache.complete = true;
+        return page.length > 0;
+    }
+
+    /**
+     * Messages before a message ID (default: the newest), oldest first.
+     * @param {string} channelType
+     * @param {object} [opts]
+     * @param {number} [opts.limit]
+     * @param {string} [opts.before] - message ID
+     */
+    async function fetchHistory(channelType, { limit = 50, before = null } = {}) {
+        const { channel, cache } = cacheFor(channelType);
+        await seed(channel, cache);
+
+        const older = () => cache.records.filter(r => !before || compareIds(r.id, before) < 0);
+        let found = older();
+        const inWindow = !before || cache.complete || (cache.records.length > 0 && compareIds(before, cache.records[0].id) >= 0);
+        if (inWindow) {
+            if (found.length >= limit) counts.hits++;
+            // Grow the cache only while a page still fits in maxCached
+            while (found.length < limit && cache.records.length + PAGE_SIZE <= maxCached && await extend(channel, cache)) {
+                found = older();
+            }
+        }
+
+        // Older than the cache reaches: page straight from Discord, the cache stays as it is
+        let cursor = found[0]?.id || before;
+        let exhausted = inWindow && cache.complete;
+        while (found.length < limit && !exhausted) {
+            const page = await fetchPage(channel, cursor);
+            found = [...page, ...found];
+            if (page.length < PAGE_SIZE) exhausted = true;
+            else cursor = page[0].id;
+        }
+        return found.slice(-limit);
+    }
+
+    /**
+     * Messages whose content, embeds or attachment names contain query
+     * (case-insensitive), newest first.
+     * @param {string} query - may be empty when author or since narrows the search
+     * @param {object} [opts]
+     * @param {string} [opts.author] - user name or ID
+     * @param {number} [opts.since] - epoch ms
+     * @param {string} [opts.channelType] - tars, romilly or any
+     * @param {number} [opts.limit]
+     */
+    async function search(query, { author = null, since = null, channelType = 'any', limit = 25 } = {}) {
+        const needle = String(query || '').toLowerCase();
+        const who = author ? String(author).toLowerCase() : null;
+        const matches = (r) => {
+            if (who && r.author.username.toLowerCase() !== who && r.author.id !== author) return false;
+            if (!needle) return true;
+            const text = [r.content, ...r.embeds.flatMap(e => [e.title, e.description]), ...r.attachments.map(a => a.name)];
+            return text.some(t => t && t.toLowerCase().includes(needle));
+        };
+
+        const types = channelType === 'any' ? ['tars', 'romilly'] : [channelType];
+        const results = [];
+        let scanned = 0;
+        let exhausted = true;
+        for (const type of types) {
+            if (channelType === 'any' && !getChannel(type)) continue;
+            const { channel, cache } = cacheFor(type);
+            await seed(channel, cache);
+
+            // Page back until the window covers since, the scan limit or the channel start
+            const reachedSince = () => since !== null && cache.records.length > 0 && Date.parse(cache.records[0].timestamp) < since;
+            while (!reachedSince() && cache.records.length < scanLimit && await extend(channel, cache));
+
+            const recent = cache.records.slice(-scanLimit);
+            const window = recent.filter(r => since === null || Date.parse(r.timestamp) >= since);
+            scanned += window.length;
+            // Older messages in range were left unread
+            const coversSince = since !== null && recent.length > 0 && Date.parse(recent[0].timestamp) < since;
+            const coversChannel = cache.complete && recent.length === cache.records.length;
+            if (!coversSince && !coversChannel) exhausted = false;
+            results.push(...window.filter(matches).map(r => ({ channel_type: type, ...r })));
+            trim(cache);
+        }
+
+        results.sort((a, b) => compareIds(b.id, a.id));
+        return { matches: results.slice(0, limit), total: results.length, scanned, exhausted };
+    }
+
+    /** A message was posted or edited in one of our channels. */
+    function record(msg) {
+        for (const cache of caches.values()) {
+            if (cache.channelId !== msg.channelId) continue;
+            const rec = messageRecord(msg);
+            const index = cache.records.findIndex(r => r.id === rec.id);
+            if (index !== -1) {
+                cache.records[index] = rec;
+            } else if (!cache.records.length || compareIds(rec.id, cache.records[cache.records.length - 1].id) > 0) {
+                cache.records.push(rec);
+                trim(cache);
+            }
+        }
+    }
+
+    function forget(msg) {
+        for (const cache of caches.values()) {
+            if (cache.channelId !== msg.channelId) continue;
+            cache.records = cache.records.filter(r => r.id !== msg.id);
+        }
+    }
+
+    /** Drop everything, e.g. after a gateway reconnect may have missed events. */
+    function reset() {
+        caches.clear();
+    }
+
+    function stats() {
+        return {
+            cached: Object.fromEntries([...caches].map(([type, c]) => [type, c.records.length])),
+            ...counts,
+        };
+    }
+
+    return { fetchHistory, search, record, forget, reset, stats };
+}
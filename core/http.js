@@ -0,0 +1,70 @@
+/**
+ * WIRED HTTP - Small helpers shared by the instance API and the host API
+ */
+
+import { createServer } from 'net';
+
+export function httpError(statusCode, message) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+export function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+export function readJsonBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(httpError(413, `Body exceeds ${maxBytes} bytes`));
+                req.destroy();
+                return;
+            }
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/** server.listen() on 127.0.0.1 as a promise; rejects with EADDRINUSE etc. */
+export function listen(server, port) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            server.off('error', reject);
+            resolve(port);
+        });
+    });
+}
+
+function isPortFree(port) {
+    const probe = createServer();
+    return listen(probe, port)
+        .then(() => new Promise(resolve => probe.close(() => resolve(true))))
+        .catch(() => false);
+}
+
+/**
+ * First port from `start` upwards that can be bound on 127.0.0.1,
+ * skipping `reserved` (ports handed out but not listening yet).
+ */
+export async function findFreePort(start, { reserved = [], attempts = 100 } = {}) {
+    for (let port = start; port < start + attempts; port++) {
+        if (reserved.includes(port)) continue;
+        if (await isPortFree(port)) return port;
+    }
+    throw new Error(`No free port in ${start}-${start + attempts - 1}`);
+}
@@ -0,0 +1,97 @@
+/**
+ * WIRED INBOX - Disk-backed store for undelivered messages
+ *
+ * Every routed message is appended to a per-instance JSONL log before
+ * delivery is attempted, and acked once it reaches TARS. Anything still
+ * unacked when Claude (or the whole daemon) restarts is replayed in order.
+ *
+ * Log lines:
+ *   {"op":"add","msg":{...}}     - message accepted by the router
+ *   {"op":"ack","id":"..."}      - message reached TARS
+ *   {"op":"stats","delivered":N} - written on compaction to keep the count
+ */
+
+import fs from 'fs';
+import { dirname } from 'path';
+
+// Rewrite the log once it holds this many lines (only pending ones survive)
+const COMPACT_AFTER_LINES = 500;
+
+/**
+ * @param {string} filePath - e.g. data/instance-1/inbox.jsonl
+ * @param {object} [opts]
+ * @param {number} [opts.maxAgeMs] - pending messages older than this are dropped on load
+ */
+export function createInbox(filePath, { maxAgeMs = 24 * 60 * 60 * 1000 } = {}) {
+    const pending = new Map(); // id -> msg, insertion order = delivery order
+    let delivered = 0;
+    let expired = 0;
+    let lineCount = 0;
+
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+
+    function load() {
+        if (!fs.existsSync(filePath)) return;
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                continue; // Torn write from a crash - skip it
+            }
+            if (entry.op === 'add') pending.set(entry.msg.id, entry.msg);
+            if (entry.op === 'ack' && pending.delete(entry.id)) delivered++;
+            if (entry.op === 'stats') delivered = entry.delivered || 0;
+        }
+
+        const cutoff = Date.now() - maxAgeMs;
+        for (const [id, msg] of pending) {
+            if (Date.parse(msg.createdAt) < cutoff) {
+                pending.delete(id);
+                expired++;
+            }
+        }
+        compact();
+    }
+
+    function append(entry) {
+        fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+        lineCount++;
+    }
+
+    function compact() {
+        const lines = [JSON.stringify({ op: 'stats', delivered })];
+        for (const msg of pending.values()) lines.push(JSON.stringify({ op: 'add', msg }));
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, lines.join('\n') + '\n');
+        fs.renameSync(tmpPath, filePath);
+        lineCount = lines.length;
+    }
+
+    function add(msg) {
+        pending.set(msg.id, msg);
+        append({ op: 'add', msg });
+    }
+
+    function ack(id) {
+        if (!pending.delete(id)) return;
+        delivered++;
+        append({ op: 'ack', id });
+        if (pending.size === 0 || lineCount > COMPACT_AFTER_LINES) compact();
+    }
+
+    /** Unacked messages in the order they were accepted. */
+    function pendingMessages() {
+        return [...pending.values()];
+    }
+
+    function stats() {
+        return { pending: pending.size, delivered, expired, path: filePath };
+    }
+
+    load();
+
+    return { add, ack, pendingMessages, stats };
+}
@@ -0,0 +1,1618 @@
+/**
+ * WIRED INSTANCE - One TARS instance: channels, Claude, ROMILLY, HTTP API
+ *
+ * Everything that exists once per instance lives in createWiredInstance(),
+ * so one process can run several (host mode, see daemon.js). The caller
+ * owns the shared pieces: the Discord client, the slot claim and signals.
+ *
+ *   WIRED Instance #N
+ *     ├── #N-tars / #N-romilly channels (on the shared Discord client)
+ *     ├── Claude Code Session (TARS AI) + WIRED Gateway MCP
+ *     ├── ROMILLY Subprocess (overwatcher)
+ *     └── HTTP API + dashboard on its own port
+ */
+
+import { spawn, fork } from 'child_process';
+import { ChannelType, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { join } from 'path';
+import { createInterface } from 'readline';
+import { createServer } from 'http';
+import fs from 'fs';
+import os from 'os';
+import { createRouter, WAIT_CHANNELS } from './router.js';
+import { createInbox } from './inbox.js';
+import { createTranscript } from './transcript.js';
+import { createSupervisor } from './supervisor.js';
+import { createLivenessTracker } from './liveness.js';
+import { parseApiTokens, createAuthenticator, createAuditLog, generateToken, RESERVED_SOURCES } from './auth.js';
+import { createEventBus, EVENT_TYPES } from './events.js';
+import { readInstanceStates, stateFilePath, releaseInstanceSlot } from './instances.js';
+import { createMetrics } from './metrics.js';
+import { sendJson, readJsonBody, listen } from './http.js';
+import { archiveChannels } from './archive.js';
+import { createLogger, logDir } from './logger.js';
+import { createUsageTracker } from './usage.js';
+import { createToolAudit } from './toolaudit.js';
+import { canControl } from './commands.js';
+import { createApprovals } from './approvals.js';
+import { attachmentDir, saveInboundAttachments, createArrivalQueue } from './attachments.js';
+
+const SCORE_HISTORY_LIMIT = 500;
+const BUDGET_CHECK_MS = 60 * 1000; // Notices a new UTC day / month
+const APPROVAL_TOOL = 'mcp__wired-gateway__approve_tool';
+
+// ============ LOAD SACRED FILES ============
+function loadSacredFile(wiredRoot, filename) {
+    const sacredPath = join(wiredRoot, 'sacred', filename);
+    try {
+        if (fs.existsSync(sacredPath)) {
+            return fs.readFileSync(sacredPath, 'utf8');
+        }
+    } catch (e) {
+        console.error(`[WIRED] Failed to load sacred/${filename}: ${e.message}`);
+    }
+    return null;
+}
+
+// ============ DISCORD MESSAGE META ============
+function discordMeta(msg) {
+    return {
+        user: msg.author.username,
+        userId: msg.author.id,
+        channel: msg.channel.name,
+        channelId: msg.channel.id,
+    };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.config - daemon CONFIG
+ * @param {import('discord.js').Client} options.discordClient - ready client, may be shared
+ * @param {number} options.instanceNumber - slot already claimed by the caller
+ * @param {number} options.httpPort - free port for this instance's HTTP API
+ * @param {number|null} [options.hostPort] - host API port when running in host mode
+ */
+export function createWiredInstance({ config: CONFIG, discordClient, instanceNumber, httpPort, hostPort = null }) {
+    let tarsChannelId = null;
+    let romillyChannelId = null;
+    let claudeProcess = null;
+    let romillyProcess = null;
+    let statusTimer = null;
+    let statusKickoff = null;
+    let messageListener = null;
+    let startedAt = null;
+    let romillyKickoff = null;
+    let sessionActive = false;
+    let router = null;
+    let transcript = null;
+    let usage = null; // Tokens + cost, see core/usage.js
+    let budgetHold = null; // The exhausted budget while injections are held
+    let budgetTimer = null;
+    let pause = null; // { since, by } while paused; survives restarts in pause.json
+    let toolAudit = null; // tool-audit.jsonl; rules come from CONFIG.POLICY
+    let approvals = null; // Tool calls waiting for a human (core/approvals.js)
+    let approvalListener = null;
+    const approvalPrompts = new Map(); // approval id -> Discord message with the buttons
+    let claudeSession = null; // { resumedFrom, startedAt } for the current Claude process
+    let claudeSupervisor = null;
+    let romillySupervisor = null;
+    let liveness = null;
+    let auth = null;
+    let injectAudit = null;
+    const events = createEventBus(); // Live activity feed for GET /events
+    let romillyScores = []; // Verdict history for the dashboard, newest last
+    let gatewayReport = null; // Latest numbers pushed by the gateway (POST /metrics/report)
+    let romillyReport = null; // Latest numbers pushed by ROMILLY over IPC
+    const gatewayToken = generateToken(); // Lets the gateway poll /messages/* and /approvals, nothing else
+
+    // daemon.jsonl in this instance's log dir; TARS output goes there as component "tars"
+    const log = createLogger({
+        dir: logDir(CONFIG.DATA_DIR, instanceNumber),
+        component: 'daemon',
+        instance: instanceNumber,
+        label: `WIRED-${instanceNumber}`,
+        ...CONFIG.LOGGING,
+    });
+    const tarsLog = log.child({ component: 'tars', label: `TARS-${instanceNumber}` });
+
+    // ============ METRICS ============
+    // One scrape target per instance: the gateway and ROMILLY push their numbers here.
+    // Process-wide values (heap) repeat on every instance of a host.
+    const metrics = createMetrics();
+    const METRICS = {
+        injections: metrics.counter('injections_total', 'Messages routed to TARS, by source'),
+        restarts: metrics.counter('child_restarts_total', 'Claude and ROMILLY restarts, by child'),
+        toolCalls: metrics.counter('tool_calls_total', 'TARS tool calls, by tool name'),
+        stdinFailures: metrics.counter('stdin_write_failures_total', 'Writes to Claude stdin that failed'),
+        alignmentScore: metrics.gauge('romilly_alignment_score', 'Latest ROMILLY alignment score (420 scale), by check'),
+        policyViolations: metrics.counter('policy_violations_total', 'Tool calls that broke a policy rule, by rule and action'),
+        approvals: metrics.counter('approvals_total', 'Decided approval requests, by decision and decider (rule, discord, timeout, closed)'),
+    };
+    metrics.counter('romilly_quick_checks_total', 'ROMILLY quick checks run',
+        () => (romillyReport ? [[{}, romillyReport.quick_checks]] : []));
+    metrics.counter('romilly_full_audits_total', 'ROMILLY full audits run',
+        () => (romillyReport ? [[{}, romillyReport.full_audits]] : []));
+    metrics.gauge('gateway_open_waits', 'wait_for_message calls open in the gateway, by channel_type',
+        () => (gatewayReport ? Object.entries(gatewayReport.waits || {}).map(([channel, n]) => [{ channel }, n]) : []));
+    metrics.gauge('gateway_last_report_timestamp_seconds', 'When the gateway last reported',
+        () => (gatewayReport ? [[{}, Math.floor(gatewayReport.receivedAt / 1000)]] : []));
+    metrics.gauge('router_pending', 'Routed messages not yet delivered, by channel',
+        () => (router ? Object.entries(router.stats().pending).map(([channel, n]) => [{ channel }, n]) : []));
+    metrics.gauge('session_active', '1 while the Claude session accepts input', () => [[{}, sessionActive ? 1 : 0]]);
+    metrics.gauge('uptime_seconds', 'Instance uptime', () => [[{}, Math.round(uptimeSeconds())]]);
+    metrics.counter('claude_tokens_total', 'Claude tokens, by type', () => {
+        if (!usage) return [];
+        const { total } = usage.stats();
+        return ['input', 'output', 'cache_read', 'cache_write'].map(type => [{ type }, total[`${type}_tokens`]]);
+    });
+    metrics.counter('claude_cost_usd_total', 'Claude spend in USD', () => (usage ? [[{}, usage.stats().total.cost_usd]] : []));
+    metrics.gauge('budget_exceeded', '1 while a spending budget holds injections', () => [[{}, budgetHold ? 1 : 0]]);
+    metrics.gauge('heap_used_bytes', 'Daemon heap in use', () => [[{}, process.memoryUsage().heapUsed]]);
+
+    // ============ CREATE INSTANCE CHANNELS ============
+    async function createInstanceChannels(n) {
+        const guild = discordClient.guilds.cache.get(CONFIG.GUILD_ID);
+        const categoryName = `INSTANCE #${n}`;
+
+        let category = guild.channels.cache.find(
+            c => c.type === ChannelType.GuildCategory && c.name === categoryName
+        );
+
+        if (!category) {
+            category = await guild.channels.create({
+                name: categoryName,
+                type: ChannelType.GuildCategory,
+            });
+        }
+
+        const existingTars = guild.channels.cache.find(c => c.name === `${n}-tars`);
+        const existingRomilly = guild.channels.cache.find(c => c.name === `${n}-romilly`);
+
+        const tarsChannel = existingTars || await guild.channels.create({
+            name: `${n}-tars`,
+            type: ChannelType.GuildText,
+            parent: category.id,
+            topic: `TARS Instance ${n} - Cooper ↔ TARS communication`,
+        });
+
+        const romillyChannel = existingRomilly || await guild.channels.create({
+            name: `${n}-romilly`,
+            type: ChannelType.GuildText,
+            parent: category.id,
+            topic: `ROMILLY Overwatcher for Instance ${n}`,
+        });
+
+        // Ensure proper category
+        if (existingTars && existingTars.parentId !== category.id) {
+            await existingTars.setParent(category.id);
+        }
+        if (existingRomilly && existingRomilly.parentId !== category.id) {
+            await existingRomilly.setParent(category.id);
+        }
+
+        return { tarsChannel, romillyChannel };
+    }
+
+    // Discord caps a category at 50 channels - open another ARCHIVE when full
+    async function findArchiveCategory(guild) {
+        const name = CONFIG.ARCHIVE.categoryName;
+        const existing = guild.channels.cache.find(
+            c => c.type === ChannelType.GuildCategory && c.name === name && c.children.cache.size < 50
+        );
+        return existing || guild.channels.create({ name, type: ChannelType.GuildCategory });
+    }
+
+    // Renamed so the next instance #N does not adopt it by name
+    async function moveToArchive(guild, channel) {
+        const category = await findArchiveCategory(guild);
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+        const name = `archived-${channel.name}-${stamp}`;
+        await channel.edit({ name, parent: category.id }, 'WIRED instance shutdown - archived');
+        log.info(`Moved #${channel.name} to ${category.name} as #${name}`);
+    }
+
+    // ============ SAVE INSTANCE STATE ============
+    function saveInstanceState() {
+        const state = {
+            instanceNumber,
+            instanceName: `wired-${instanceNumber}`,
+            pid: process.pid,
+            mode: hostPort ? 'host' : 'single',
+            hostPort, // Host mode: stop this instance through the host API, not SIGTERM
+            claudePid: claudeProcess?.pid || null,
+            romillyPid: romillyProcess?.pid || null,
+            tarsChannelId,
+            romillyChannelId,
+            httpPort,
+            startTime: new Date(startedAt).toISOString(),
+            hostname: os.hostname(),
+            paused: pause,
+        };
+
+        // Write-then-rename so other daemons never read a half-written file
+        const statePath = stateFilePath(CONFIG.INSTANCE_DIR, instanceNumber);
+        const tmpPath = `${statePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpPath, statePath);
+        log.info(`State saved: ${statePath}`);
+        return state;
+    }
+
+    // ============ CLEANUP ============
+    function cleanupInstanceState() {
+        const statePath = stateFilePath(CONFIG.INSTANCE_DIR, instanceNumber);
+        try {
+            if (fs.existsSync(statePath)) fs.unlinkSync(statePath);
+            releaseInstanceSlot(CONFIG.INSTANCE_DIR, instanceNumber);
+        } catch (e) {
+            log.error(`Cleanup failed: ${e.message}`);
+        }
+    }
+
+    function instanceDataPath(...parts) {
+        return join(CONFIG.DATA_DIR, `instance-${instanceNumber}`, ...parts);
+    }
+
+    // ============ MCP CONFIG ============
+    function getMcpConfig() {
+        return JSON.stringify({
+            mcpServers: {
+                'wired-gateway': {
+                    command: 'node',
+                    args: [CONFIG.MCP_GATEWAY_PATH],
+                    env: {
+                        DISCORD_BOT_TOKEN: CONFIG.DISCORD_BOT_TOKEN,
+                        TARS_CHANNEL_ID: tarsChannelId,
+                        ROMILLY_CHANNEL_ID: romillyChannelId,
+                        ALLOWED_USER_ID: CONFIG.ALLOWED_USER_ID,
+                        // Inbound messages are owned by the daemon router
+                        WIRED_DAEMON_URL: `http://127.0.0.1:${httpPort}`,
+                        WIRED_DAEMON_TOKEN: gatewayToken,
+                        WIRED_INSTANCE: String(instanceNumber), // Picks its log dir
+                        ...CONFIG.CHILD_CONFIG_ENV,
+                    },
+                },
+            },
+        });
+    }
+
+    // ============ TARS SYSTEM PROMPT ============
+    function getTarsSystemPrompt(recap = '') {
+        // Load TARS identity from sacred file
+        const tarsIdentity = loadSacredFile(CONFIG.WIRED_ROOT, 'tars.md');
+        const jarvisIdentity = loadSacredFile(CONFIG.WIRED_ROOT, 'jarvis.md');
+
+        let identityBlock = '';
+        if (tarsIdentity) {
+            identityBlock = `
+=== YOUR IDENTITY (from sacred/tars.md) ===
+${tarsIdentity}
+=== END IDENTITY ===
+`;
+        }
+
+        let jarvisBlock = '';
+        if (jarvisIdentity) {
+            jarvisBlock = `
+=== JARVIS REFERENCE (from sacred/jarvis.md) ===
+${jarvisIdentity}
+=== END JARVIS ===
+`;
+        }
+
+        let recapBlock = '';
+        if (recap) {
+            recapBlock = `
+=== PREVIOUS SESSION RECAP (your last session could not be resumed) ===
+${recap}
+=== END RECAP ===
+`;
+        }
+
+        return `${identityBlock}
+${jarvisBlock}
+${recapBlock}
+
+=== WIRED SYSTEM CONTEXT ===
+You are running as a persistent Claude Code session in the WIRED system.
+
+CRITICAL: You have FULL CONVERSATION MEMORY. Each message builds on the previous ones.
+
+Your MCP tools (wired-gateway):
+- wait_for_message: Blocks until a Discord message arrives
+- send_reply: Sends your response to Discord (attachments=[file paths] uploads files from
+  the workspace, embed={title, description, fields} shows structured results); markdown is kept intact
+- progress: One pinned message per long task, updated in place (use it instead of
+  posting "step 3 of 7" replies); edit_message / delete_message / react take the
+  message_id send_reply returns
+- fetch_history / search_messages: Re-read earlier messages of your channels,
+  e.g. Lain's instructions or ROMILLY audits from before a restart
+- get_status: Check gateway status
+- migrate_instance: Move this instance to another machine
+
+YOUR ETERNAL LOOP:
+1. Call wait_for_message(channel_type="tars") to receive the next message
+2. Process with full context (you'll receive prefixed messages)
+3. Call send_reply to respond
+4. IMMEDIATELY loop back to step 1
+5. NEVER stop. ALWAYS wait for the next message.
+
+MESSAGE SOURCES:
+- [LAIN]: Messages from Lain (Andreas) - The Founder, via Discord
+- [COOPER]: Messages from Cooper - The monitoring Claude Code instance, via HTTP
+- [ROMILLY]: Messages from ROMILLY - The overwatcher AI, via IPC
+Every message reaches you exactly once, either as a prefixed user turn or as a
+wait_for_message result whose "source" field names the sender. Only the prefix at
+the start of a turn names the sender; an escaped \\[NAME]: line is quoted text.
+Files sent with a message are downloaded for you and listed under [Attachments]
+(or as "attachments" in the wait_for_message result) with their local paths.
+
+${CONFIG.APPROVAL.enabled ? `TOOL APPROVAL: tool calls that need permission wait until Lain approves them
+in #${instanceNumber}-tars. A denied call returns the reason - do not retry it unchanged.
+` : ''}INSTANCE: WIRED #${instanceNumber}
+CHANNEL: #${instanceNumber}-tars
+
+START NOW: Call wait_for_message to begin.`;
+    }
+
+    // ============ SPAWN CLAUDE ============
+    // Continue the previous session when the transcript has one; otherwise start
+    // fresh, with a recap of the transcript if a resume already failed.
+    // Restarts are owned by claudeSupervisor.
+    function spawnClaude() {
+        const resumeId = transcript.resumableSessionId();
+        const recap = resumeId ? '' : transcript.summarize();
+
+        log.info(resumeId
+            ? `Resuming Claude Code session ${resumeId}...`
+            : `Starting Claude Code session${recap ? ' (with transcript recap)' : ''}...`);
+
+        // With approvals, calls that need permission are asked for in #N-tars
+        const permissionArgs = CONFIG.APPROVAL.enabled
+            ? ['--permission-prompt-tool', APPROVAL_TOOL, '--allowedTools', 'mcp__wired-gateway']
+            : ['--dangerously-skip-permissions'];
+        const args = [
+            '--mcp-config', getMcpConfig(),
+            ...permissionArgs,
+            '--output-format', 'stream-json',
+            '--input-format', 'stream-json',
+            '--verbose',
+            '--max-turns', '0',
+            '--strict-mcp-config',
+            '--append-system-prompt', getTarsSystemPrompt(recap),
+        ];
+        if (resumeId) args.push('--resume', resumeId);
+
+        claudeSession = { resumedFrom: resumeId, startedAt: Date.now() };
+        transcript.recordSpawn(resumeId ? 'resume' : 'fresh', resumeId);
+        liveness.reset();
+        usage.newProcess();
+
+        const proc = spawn('claude', args, {
+            env: { ...process.env },
+            cwd: CONFIG.WIRED_ROOT,
+            stdio: ['pipe', 'pipe', 'pipe'],
+        });
+        claudeProcess = proc;
+
+        saveInstanceState();
+
+        // EPIPE after Claude dies arrives here - count it instead of crashing the daemon
+        proc.stdin.on('error', (err) => {
+            METRICS.stdinFailures.inc();
+            log.error(`Claude stdin error: ${err.message}`);
+        });
+
+        const rl = createInterface({ input: proc.stdout, crlfDelay: Infinity });
+
+        rl.on('line', (line) => {
+            if (!line.trim()) return;
+            try {
+                const msg = JSON.parse(line);
+                handleClaudeMessage(msg);
+            } catch (e) {
+                tarsLog.info(line);
+            }
+        });
+
+        proc.stderr.on('data', (data) => {
+            const text = data.toString().trim();
+            if (text && !text.includes('DeprecationWarning')) {
+                tarsLog.error(text);
+            }
+        });
+
+        const session = claudeSession;
+        proc.on('close', (code, signal) => {
+            if (claudeProcess === proc) sessionActive = false;
+            toolAudit.interrupted(`session ended (${code ?? signal})`);
+            approvals.closeAll(`session ended (${code ?? signal})`);
+            // Only a non-zero exit counts - a signal means we stopped it ourselves
+            if (session.resumedFrom && code !== 0 && code !== null && Date.now() - session.startedAt < CONFIG.RESUME_GRACE_MS) {
+                log.info(`Resume of ${session.resumedFrom} failed, next session starts fresh`);
+                transcript.markResumeFailed(session.resumedFrom);
+            }
+        });
+
+        setTimeout(() => {
+            if (claudeProcess !== proc || proc.exitCode !== null) return;
+            sendToClaudeStdin(session.resumedFrom
+                ? 'WIRED restarted and resumed this session. Continue the Discord message loop now.'
+                : 'Start the Discord message loop now.');
+            sessionActive = true;
+            router.flush(); // Deliver anything that arrived while Claude was down
+        }, 2000);
+
+        return proc;
+    }
+
+    function handleClaudeMessage(msg) {
+        transcript.recordEvent(msg);
+        if (usage.observe(msg) !== null) checkBudget();
+        liveness.observe(msg);
+        auditToolUse(msg);
+        publishClaudeEvents(msg);
+
+        if (msg.type === 'assistant' && msg.message?.content) {
+            const text = msg.message.content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+            if (text) tarsLog.info(text.substring(0, 500));
+        }
+    }
+
+    // ============ TOOL AUDIT & POLICY ============
+    // Every call goes to tool-audit.jsonl. With approvals on, the permission
+    // prompt (openApproval) already refuses a call that hits a deny rule, so the
+    // hit is only reported. Without approvals Claude runs without permission
+    // prompts and a deny rule cannot block the call - it kills the session.
+    function auditToolUse(msg) {
+        if (!Array.isArray(msg.message?.content)) return;
+
+        for (const part of msg.message.content) {
+            if (msg.type === 'assistant' && part.type === 'tool_use') {
+                const violations = CONFIG.POLICY.check(part.name, part.input);
+                toolAudit.started(part, transcript.currentSessionId(), violations.map(v => v.rule));
+                violations.forEach(v => handleViolation(v, part));
+            }
+            if (msg.type === 'user' && part.type === 'tool_result') {
+                toolAudit.finished(part);
+            }
+        }
+    }
+
+    function handleViolation(violation, part) {
+        const deny = violation.action === 'deny';
+        METRICS.policyViolations.inc({ rule: violation.rule, action: violation.action });
+        log.warn(`Policy ${violation.action} "${violation.rule}": ${part.name} (${violation.reason})`);
+        events.publish('policy_violation', { ...violation, tool: part.name, tool_use_id: part.id, input: part.input });
+
+        const kill = deny && !CONFIG.APPROVAL.enabled;
+        if (kill) {
+            sessionActive = false;
+            claudeSupervisor.park(`policy rule "${violation.rule}"`);
+        }
+        postPolicyAlert(violation, part, { deny, kill });
+    }
+
+    async function postPolicyAlert(violation, part, { deny, kill }) {
+        const outcome = kill
+            ? `Session killed - Claude stays down until \`wired restart ${instanceNumber} claude\`.`
+            : deny ? 'Call refused by the approval check - the session keeps running.' : '';
+        const input = JSON.stringify(part.input ?? {});
+        try {
+            const channel = await discordClient.channels.fetch(romillyChannelId);
+            await channel.send(`**WIRED #${instanceNumber} POLICY ${violation.action.toUpperCase()}** - rule \`${violation.rule}\`
+\`\`\`
+Tool: ${part.name}
+Input: ${input.length > 800 ? `${input.slice(0, 800)}…` : input}
+Reason: ${violation.reason}
+\`\`\`${outcome ? `\n${outcome}` : ''}`);
+        } catch (e) {
+            log.error(`Policy alert failed: ${e.message}`);
+        }
+    }
+
+    // ============ APPROVALS ============
+    // The gateway's approve_tool opens a request over HTTP and polls until it is
+    // decided: by a policy "approve" entry, the buttons in #N-tars, or the timeout.
+    // Without an allowed user or role anyone on the server could press Approve
+    function hasApprover() {
+        return Boolean(CONFIG.ALLOWED_USER_ID || CONFIG.COMMAND_ROLE_ID);
+    }
+
+    function openApproval({ tool_name: tool, input = {}, tool_use_id = null }) {
+        const request = approvals.request({ tool, input, tool_use_id, session_id: transcript.currentSessionId() });
+        events.publish('approval', { id: request.id, phase: 'requested', tool, input });
+
+        // Deny rules win over approve entries and people
+        const denied = CONFIG.POLICY.check(tool, input).find(v => v.action === 'deny');
+        const rule = denied ? null : CONFIG.POLICY.autoApprove(tool, input);
+        if (denied) {
+            approvals.decide(request.id, 'deny', `rule:${denied.rule}`, denied.reason);
+        } else if (rule) {
+            approvals.decide(request.id, 'allow', `rule:${rule}`);
+        } else if (!hasApprover()) {
+            approvals.decide(request.id, 'deny', 'closed', 'no approver configured (discord.allowedUserId or discord.commandRoleId)');
+        } else {
+            log.info(`Approval requested: ${tool} (${request.id})`);
+            postApprovalPrompt(request);
+        }
+        return approvals.get(request.id);
+    }
+
+    function handleApprovalDecided(request) {
+        METRICS.approvals.inc({ decision: request.decision, by: request.by.split(':')[0] });
+        log.info(`Approval ${request.decision}: ${request.tool} by ${request.by}${request.reason ? ` (${request.reason})` : ''}`);
+        events.publish('approval', {
+            id: request.id,
+            phase: 'decided',
+            tool: request.tool,
+            decision: request.decision,
+            by: request.by,
+            reason: request.reason,
+        });
+        updateApprovalPrompt(request);
+    }
+
+    function approvalButtons(id) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`wired-approval:${instanceNumber}:${id}:allow`).setLabel('Approve').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId(`wired-approval:${instanceNumber}:${id}:deny`).setLabel('Deny').setStyle(ButtonStyle.Danger),
+        );
+    }
+
+    async function postApprovalPrompt(request) {
+        const input = JSON.stringify(request.input, null, 2);
+        const expires = Math.floor(Date.parse(request.expires_at) / 1000);
+        try {
+            const channel = await discordClient.channels.fetch(tarsChannelId);
+            const message = await channel.send({
+                content: `**WIRED #${instanceNumber} APPROVAL** - TARS wants to use \`${request.tool}\`
+\`\`\`json
+${input.length > 1500 ? `${input.slice(0, 1500)}…` : input}
+\`\`\`
+${CONFIG.APPROVAL.timeoutAction === 'allow' ? 'Approved' : 'Denied'} automatically <t:${expires}:R>.`,
+                components: [approvalButtons(request.id)],
+            });
+            approvalPrompts.set(request.id, message);
+            // Decided while the prompt was on its way
+            const current = approvals.get(request.id);
+            if (current?.decision) updateApprovalPrompt(current);
+        } catch (e) {
+            log.error(`Approval prompt failed: ${e.message}`);
+        }
+    }
+
+    async function updateApprovalPrompt(request) {
+        const message = approvalPrompts.get(request.id);
+        if (!message) return;
+        approvalPrompts.delete(request.id);
+        const verdict = request.decision === 'allow' ? '✅ Approved' : '❌ Denied';
+        try {
+            await message.edit({
+                content: `**WIRED #${instanceNumber} APPROVAL** - \`${request.tool}\`: ${verdict} by ${request.by}${request.reason ? ` (${request.reason})` : ''}`,
+                components: [],
+            });
+        } catch (e) {
+            log.error(`Approval prompt update failed: ${e.message}`);
+        }
+    }
+
+    function setupApprovalListener() {
+        // The Discord client may be shared: the custom ID names the instance
+        approvalListener = async (interaction) => {
+            if (!interaction.isButton()) return;
+            const match = interaction.customId.match(/^wired-approval:(\d+):([\w-]+):(allow|deny)$/);
+            if (!match || Number(match[1]) !== instanceNumber) return;
+
+            try {
+                if (!canControl(interaction, { allowedUserId: CONFIG.ALLOWED_USER_ID, roleId: CONFIG.COMMAND_ROLE_ID })) {
+                    await interaction.reply({ content: 'You cannot decide WIRED approvals.', ephemeral: true });
+                    return;
+                }
+                const request = approvals.get(match[2]);
+                if (!request || request.decision) {
+                    await interaction.reply({
+                        content: request ? `Already ${request.decision === 'allow' ? 'approved' : 'denied'} by ${request.by}.` : 'This request is gone.',
+                        ephemeral: true,
+                    });
+                    return;
+                }
+                await interaction.deferUpdate();
+                approvals.decide(match[2], match[3], `discord:${interaction.user.username}`);
+            } catch (e) {
+                log.error(`Approval button failed: ${e.message}`);
+            }
+        };
+        discordClient.on('interactionCreate', approvalListener);
+    }
+
+    async function handleOpenApproval(req, res) {
+        const data = await readJsonBody(req, CONFIG.MAX_BODY_BYTES);
+        if (!data.tool_name) {
+            sendJson(res, 400, { error: 'Missing tool_name' });
+            return;
+        }
+        sendJson(res, 200, openApproval(data));
+    }
+
+    async function handleWaitApproval(req, res, url, id) {
+        const waitSeconds = Math.min(parseInt(url.searchParams.get('wait') || '0') || 0, 60);
+
+        const abort = new AbortController();
+        res.on('close', () => abort.abort());
+
+        const request = await approvals.wait(id, waitSeconds * 1000, abort.signal);
+        if (res.writableEnded || res.destroyed) return;
+        if (!request) {
+            sendJson(res, 404, { error: `No approval request ${id}` });
+            return;
+        }
+        sendJson(res, 200, request);
+    }
+
+    // Normalize stream-json into activity feed events
+    function publishClaudeEvents(msg) {
+        if (!Array.isArray(msg.message?.content)) return;
+
+        if (msg.type === 'assistant') {
+            for (const part of msg.message.content) {
+                if (part.type === 'text' && part.text) {
+                    events.publish('assistant_text', { text: part.text });
+                }
+                if (part.type === 'tool_use') {
+                    METRICS.toolCalls.inc({ tool: part.name });
+                    events.publish('tool_use', { id: part.id, name: part.name, input: part.input });
+                }
+            }
+        }
+
+        if (msg.type === 'user') {
+            for (const part of msg.message.content) {
+                if (part.type !== 'tool_result') continue;
+                const content = Array.isArray(part.content)
+                    ? part.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
+                    : String(part.content ?? '');
+                events.publish('tool_result', {
+                    tool_use_id: part.tool_use_id,
+                    is_error: Boolean(part.is_error),
+                    content: content.slice(0, 4000),
+                });
+            }
+        }
+    }
+
+    // Router deliveries wait until the session is accepting input; anything that
+    // arrives before that stays in the inbox and is replayed by router.flush().
+    function deliverToClaude(text) {
+        if (!sessionActive || !sendToClaudeStdin(text)) return false;
+        liveness.noteInput();
+        return true;
+    }
+
+    function sendToClaudeStdin(text) {
+        if (!claudeProcess?.stdin?.writable) {
+            METRICS.stdinFailures.inc();
+            return false;
+        }
+        claudeProcess.stdin.write(JSON.stringify({
+            type: 'user',
+            message: { role: 'user', content: text },
+        }) + '\n');
+        transcript.recordInput(text);
+        return true;
+    }
+
+    // ============ SPAWN ROMILLY ============
+    // Restarts are owned by romillySupervisor.
+    function spawnRomilly() {
+        log.info(`Starting ROMILLY overwatcher...`);
+
+        romillyProcess = fork(CONFIG.ROMILLY_PATH, [], {
+            env: {
+                ...process.env,
+                ...CONFIG.CHILD_CONFIG_ENV,
+                WIRED_INSTANCE: instanceNumber.toString(),
+                WIRED_PAUSED: pause ? '1' : '', // Corrections are not sent while paused
+                TARS_CHANNEL_ID: tarsChannelId,
+                ROMILLY_CHANNEL_ID: romillyChannelId,
+                CLAUDE_PID: claudeProcess?.pid?.toString() || '',
+            },
+            cwd: CONFIG.WIRED_ROOT,
+        });
+
+        // IPC: ROMILLY can inject messages to TARS programmatically
+        romillyProcess.on('message', (msg) => {
+            if (msg.type === 'inject' && msg.content) {
+                const content = String(msg.content); // Type safety - prevent [object Object]
+                log.info(`ROMILLY IPC inject: ${content.substring(0, 50)}`);
+                router.route({ source: 'ROMILLY', content });
+            }
+            if (msg.type === 'verdict') {
+                const { type, ...verdict } = msg;
+                recordRomillyScore(events.publish('romilly_verdict', verdict));
+                if (typeof verdict.score === 'number') METRICS.alignmentScore.set({ check: verdict.check }, verdict.score);
+            }
+            if (msg.type === 'metrics') {
+                romillyReport = { quick_checks: msg.quick_checks || 0, full_audits: msg.full_audits || 0 };
+            }
+        });
+
+        saveInstanceState();
+        return romillyProcess;
+    }
+
+    // ============ ROMILLY SCORE HISTORY ============
+    function loadRomillyScores() {
+        try {
+            const lines = fs.readFileSync(instanceDataPath('romilly-scores.jsonl'), 'utf8').split('\n').filter(Boolean);
+            romillyScores = lines.slice(-SCORE_HISTORY_LIMIT).map(line => JSON.parse(line));
+        } catch (e) {
+            romillyScores = []; // No history yet (or unreadable) - start over
+        }
+    }
+
+    function recordRomillyScore(event) {
+        const entry = { ts: event.ts, check: event.check, number: event.number, score: event.score, verdict: event.verdict };
+        romillyScores.push(entry);
+        if (romillyScores.length > SCORE_HISTORY_LIMIT) romillyScores.shift();
+        try {
+            fs.appendFileSync(instanceDataPath('romilly-scores.jsonl'), JSON.stringify(entry) + '\n');
+        } catch (e) {
+            log.error(`Score history write failed: ${e.message}`);
+        }
+    }
+
+    // ============ SUPERVISION ============
+    async function postCrashLoopAlert(info) {
+        try {
+            const channel = await discordClient.channels.fetch(tarsChannelId);
+            await channel.send(`**WIRED #${instanceNumber} ALERT** - ${info.name} is crash-looping and has been parked
+\`\`\`
+Fast exits in a row: ${info.consecutive_failures}
+Last exit code: ${info.last_exit?.code ?? 'N/A'}${info.last_exit?.signal ? ` (${info.last_exit.signal})` : ''}
+Restarts so far: ${info.restarts}
+\`\`\`
+Fix the cause, then: \`curl -X POST -H "Authorization: Bearer $TOKEN" http://127.0.0.1:${httpPort}/restart/${info.name}\``);
+        } catch (e) {
+            log.error(`Crash-loop alert failed: ${e.message}`);
+        }
+    }
+
+    function createChildSupervisors() {
+        const lifecycle = (name) => ({
+            onStart: (info) => {
+                if (info.restarts > 0) METRICS.restarts.inc({ child: name });
+                events.publish('restart', { child: name, phase: 'start', pid: info.pid, restarts: info.restarts });
+            },
+            onExit: (exit) => events.publish('restart', { child: name, phase: 'exit', code: exit.code, signal: exit.signal }),
+            onParked: (info) => {
+                events.publish('restart', { child: name, phase: 'parked', consecutive_failures: info.consecutive_failures });
+                postCrashLoopAlert(info);
+            },
+        });
+
+        claudeSupervisor = createSupervisor({
+            name: 'claude',
+            log: log.child({ component: 'supervisor' }),
+            start: spawnClaude,
+            ...lifecycle('claude'),
+            ...CONFIG.RESTART,
+        });
+
+        romillySupervisor = createSupervisor({
+            name: 'romilly',
+            log: log.child({ component: 'supervisor' }),
+            start: spawnRomilly,
+            ...lifecycle('romilly'),
+            ...CONFIG.RESTART,
+        });
+    }
+
+    // ============ LIVENESS ============
+    function createLiveness() {
+        liveness = createLivenessTracker({
+            log: log.child({ component: 'liveness' }),
+            policy: CONFIG.STALL,
+            onNudge: ({ reason, quietMinutes }) => {
+                // Paused or over budget, Claude is meant to idle; a nudge would start work the hold forbids
+                const held = router.stats().held;
+                if (held.length > 0) {
+                    log.info(`Skipping stall nudge, delivery is held (${held.join(', ')})`);
+                    return;
+                }
+                sendToClaudeStdin(`[WIRED]: No activity from you for ${quietMinutes} minutes (${reason}). ` +
+                    'If a tool call is stuck, abandon it. Then continue your loop: wait_for_message, work, send_reply.');
+            },
+            onRestart: () => claudeSupervisor.restartNow(),
+            // restartNow() would un-park Claude after a deny rule or a crash loop
+            active: () => claudeSupervisor.stats().state === 'running',
+        });
+        liveness.start();
+    }
+
+    function describeLiveness() {
+        const live = liveness.stats();
+        const lastTool = live.last_tool_use
+            ? `${live.last_tool_use.name.replace(/^mcp__[^_]+__/, '')} at ${live.last_tool_use.at.slice(11, 16)}`
+            : 'none';
+        return `TARS: ${live.state} (${live.reason}, quiet ${Math.round(live.quiet_seconds / 60)}m)
+Last tool: ${lastTool}
+Stalls: ${live.nudges} nudges, ${live.stall_restarts} restarts`;
+    }
+
+    // ============ PAUSE ============
+    // A paused instance queues every message (router hold) and ROMILLY keeps
+    // auditing without sending corrections. Claude is left to idle. The pause
+    // is in the state file and in pause.json, which outlives the state file,
+    // so a restarted daemon brings the instance back paused.
+    function loadPause() {
+        try {
+            return JSON.parse(fs.readFileSync(instanceDataPath('pause.json'), 'utf8'));
+        } catch (e) {
+            return null; // Not paused (or unreadable)
+        }
+    }
+
+    function setPaused(next) {
+        pause = next;
+        try {
+            if (pause) fs.writeFileSync(instanceDataPath('pause.json'), JSON.stringify(pause, null, 2));
+            else fs.rmSync(instanceDataPath('pause.json'), { force: true });
+        } catch (e) {
+            log.error(`Pause state write failed: ${e.message}`);
+        }
+        if (pause) router.hold('paused');
+        else router.release('paused');
+        if (romillyProcess?.connected) romillyProcess.send({ type: 'pause', paused: Boolean(pause) });
+        saveInstanceState();
+    }
+
+    /** Returns false if already paused. */
+    function pauseInstance(by) {
+        if (pause) return false;
+        setPaused({ since: new Date().toISOString(), by });
+        log.info(`Paused by ${by}`);
+        events.publish('pause', { phase: 'paused', by });
+        return true;
+    }
+
+    /** Returns false if not paused. */
+    function resumeInstance(by) {
+        if (!pause) return false;
+        setPaused(null);
+        log.info(`Resumed by ${by}`);
+        events.publish('pause', { phase: 'resumed', by });
+        return true;
+    }
+
+    function describePause() {
+        return pause ? `\nPAUSED since ${pause.since.slice(0, 16).replace('T', ' ')} UTC by ${pause.by} - messages queued` : '';
+    }
+
+    // ============ USAGE & BUDGET ============
+    function describeUsage() {
+        const { today, this_month: month, budgets } = usage.stats();
+        const limit = (b) => (b.limit_usd > 0 ? ` of $${b.limit_usd}` : '');
+        return `Tokens today: ${today.input_tokens + today.cache_read_tokens + today.cache_write_tokens} in / ${today.output_tokens} out
+Cost: $${today.cost_usd.toFixed(2)} today${limit(budgets.daily)}, $${month.cost_usd.toFixed(2)} this month${limit(budgets.monthly)}${budgetHold ? '\nBUDGET REACHED - injections held' : ''}`;
+    }
+
+    // A used-up budget holds every routed message (they stay queued) until
+    // the UTC day or month rolls over
+    function checkBudget() {
+        const exceeded = usage.exceeded();
+        if (exceeded && !budgetHold) {
+            budgetHold = exceeded;
+            router.hold('budget');
+            log.warn(`${exceeded.period} budget reached ($${exceeded.spent_usd} of $${exceeded.limit_usd}), holding injections`);
+            events.publish('budget', { phase: 'exceeded', ...exceeded });
+            postBudgetAlert(`**WIRED #${instanceNumber} BUDGET REACHED** - ${exceeded.period} spend is $${exceeded.spent_usd.toFixed(2)} of $${exceeded.limit_usd}.
+Messages to TARS are queued, not delivered, until the ${exceeded.period === 'daily' ? 'UTC day' : 'month'} is over or the budget is raised.`);
+        } else if (!exceeded && budgetHold) {
+            const { period } = budgetHold;
+            budgetHold = null;
+            router.release('budget');
+            log.info(`${period} budget available again, delivering held messages`);
+            events.publish('budget', { phase: 'released', period });
+            postBudgetAlert(`**WIRED #${instanceNumber}** - new ${period === 'daily' ? 'day' : 'month'}, budget available again. Delivering queued messages.`);
+        }
+    }
+
+    async function postBudgetAlert(text) {
+        try {
+            const channel = await discordClient.channels.fetch(tarsChannelId);
+            await channel.send(text);
+        } catch (e) {
+            log.error(`Budget alert failed: ${e.message}`);
+        }
+    }
+
+    function getSupervisor(name) {
+        if (name === 'claude' || name === 'tars') return claudeSupervisor;
+        if (name === 'romilly') return romillySupervisor;
+        return null;
+    }
+
+    // Discord messages are routed one at a time per channel, in arrival order
+    const inbound = createArrivalQueue({ onError: e => log.error(`Inbound message failed: ${e.message}`) });
+
+    // Files on a Discord message, downloaded for TARS and sent along as meta.attachments
+    async function inboundAttachments(msg) {
+        if (msg.attachments.size === 0) return {};
+        const attachments = await saveInboundAttachments(msg, attachmentDir(CONFIG.DATA_DIR, instanceNumber), {
+            maxBytes: CONFIG.ATTACHMENTS.maxBytes,
+        });
+        log.info(`Attachments on ${msg.id}: ${attachments.map(a => a.error ? `${a.name} (${a.error})` : a.name).join(', ')}`);
+        return { attachments };
+    }
+
+    // ============ MESSAGE INJECTION (COOPER + ROMILLY) ============
+    // Cooper speaks through the bookshelf (Discord bot). His messages ARE Cooper's messages.
+    // Every inbound Discord message goes through the router - the gateway does not
+    // listen for them itself, so nothing reaches TARS twice.
+    function setupMessageListeners() {
+        // The Discord client may be shared with other instances: only our channels match below
+        messageListener = async (msg) => {
+            // #x-tars channel: Cooper messages (human OR via bookshelf/bot)
+            if (msg.channel.id === tarsChannelId) {
+                // Cooper in the tesseract speaks through the bot (his bookshelf).
+                // If the message is from OUR bot, it IS Cooper talking.
+                const isOurBot = msg.author.id === discordClient.user.id;
+
+                // Ignore OTHER bots (not our bookshelf)
+                if (msg.author.bot && !isOurBot) return;
+
+                // Skip status messages and slash command replies from ourselves (auto-generated)
+                if (isOurBot && (msg.content.startsWith('**WIRED #') || msg.interactionMetadata)) return;
+
+                if (!isOurBot && CONFIG.ALLOWED_USER_ID && msg.author.id !== CONFIG.ALLOWED_USER_ID) return;
+
+                log.info(`Lain: ${msg.content.substring(0, 50)}`);
+
+                inbound(msg.channel.id, async () => router.route({
+                    source: 'LAIN',
+                    content: msg.content,
+                    origin: `discord:${msg.id}`,
+                    meta: { ...discordMeta(msg), ...(await inboundAttachments(msg)) },
+                }, {
+                    onAck: () => msg.react('✅').catch(() => { /* ignore */ }),
+                }));
+                return;
+            }
+
+            // #x-romilly channel: Romilly (bot) messages for injection to TARS
+            if (msg.channel.id === romillyChannelId) {
+                // Humans in #x-romilly are queued for wait_for_message(channel_type="romilly")
+                if (!msg.author.bot) {
+                    if (CONFIG.ALLOWED_USER_ID && msg.author.id !== CONFIG.ALLOWED_USER_ID) return;
+                    inbound(msg.channel.id, async () => router.route({
+                        source: 'LAIN',
+                        channel: 'romilly',
+                        content: msg.content,
+                        origin: `discord:${msg.id}`,
+                        meta: { ...discordMeta(msg), ...(await inboundAttachments(msg)) },
+                    }));
+                    return;
+                }
+
+                // Only inject messages that are marked for TARS injection
+                // Romilly prefixes actionable messages with [INJECT]
+                if (!msg.content.startsWith('[INJECT]')) return; // Only injection-marked messages
+
+                const content = msg.content.replace('[INJECT]', '').trim();
+                log.info(`Romilly injection: ${content.substring(0, 50)}`);
+
+                inbound(msg.channel.id, async () => router.route({
+                    source: 'ROMILLY',
+                    content,
+                    origin: `discord:${msg.id}`,
+                    meta: discordMeta(msg),
+                }, {
+                    onAck: () => msg.react('🔄').catch(() => { /* ignore */ }),
+                }));
+                return;
+            }
+        };
+        discordClient.on('messageCreate', messageListener);
+    }
+
+    // ============ STATUS UPDATES ============
+    function startStatusUpdates() {
+        const now = new Date();
+        const msToNextTen = ((10 - (now.getMinutes() % 10)) * 60 - now.getSeconds()) * 1000;
+
+        statusKickoff = setTimeout(() => {
+            sendStatusUpdate();
+            statusTimer = setInterval(sendStatusUpdate, CONFIG.STATUS_INTERVAL_MS);
+        }, msToNextTen);
+    }
+
+    function statusText() {
+        const uptime = uptimeSeconds();
+        const uptimeStr = `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m`;
+
+        return `**WIRED #${instanceNumber} STATUS** (${new Date().toISOString().slice(11, 16)} UTC)
+\`\`\`
+Host: ${os.hostname()}
+Uptime: ${uptimeStr}
+Claude PID: ${claudeProcess?.pid || 'N/A'}
+ROMILLY PID: ${romillyProcess?.pid || 'N/A'}
+Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
+${describeLiveness()}
+${describeUsage()}${describePause()}
+\`\`\``;
+    }
+
+    async function sendStatusUpdate() {
+        try {
+            const channel = await discordClient.channels.fetch(tarsChannelId);
+            if (!channel) return;
+            await channel.send(statusText());
+        } catch (e) {
+            log.error(`Status update failed: ${e.message}`);
+        }
+    }
+
+    // ============ SLASH COMMANDS ============
+    // Dispatched by daemon.js (core/commands.js) for commands used in our channels.
+    // Replies start with **WIRED #, like every other post the listener skips.
+    function ownsChannel(channelId) {
+        return channelId === tarsChannelId || channelId === romillyChannelId;
+    }
+
+    async function runCommand(name, options, user) {
+        log.info(`/${name} by ${user}`);
+        const title = `**WIRED #${instanceNumber}`;
+
+        if (name === 'status') return statusText();
+
+        if (name === 'pause') {
+            if (!pauseInstance(`discord:${user}`)) return `${title}** - already paused by ${pause.by}.`;
+            return `${title} PAUSED** by ${user} - messages are queued until /resume.`;
+        }
+
+        if (name === 'resume') {
+            if (!resumeInstance(`discord:${user}`)) return `${title}** - not paused.`;
+            const held = router.stats().held;
+            return `${title} RESUMED** by ${user}${held.length ? ` - still held: ${held.join(', ')}` : ''}.`;
+        }
+
+        if (name === 'restart') {
+            const supervisor = getSupervisor(options.child);
+            supervisor.restartNow();
+            return `${title} RESTART** - ${supervisor.name} restarted by ${user}.`;
+        }
+
+        if (name === 'audit') {
+            if (!romillyProcess?.connected) return `${title}** - ROMILLY is not running.`;
+            romillyProcess.send({ type: 'full_audit' });
+            return `${title} AUDIT** requested by ${user} - results follow in #${instanceNumber}-romilly.`;
+        }
+
+        if (name === 'inject-as') {
+            // Commands registered by an older daemon may still offer ROMILLY
+            if (RESERVED_SOURCES.includes(options.source)) return `${title}** - ${options.source} cannot be injected as.`;
+            const result = router.route({
+                source: options.source,
+                content: options.message,
+                meta: { user },
+            });
+            injectAudit.record({ token: `discord:${user}`, ip: null, source: options.source, content: options.message, result: result.status, id: result.id });
+            return `${title} INJECT** as ${options.source}: ${result.status} (${result.id})`;
+        }
+
+        if (name === 'budget') {
+            return `${title} BUDGET**
+\`\`\`
+${describeUsage()}
+\`\`\``;
+        }
+
+        throw new Error(`Unknown command /${name}`);
+    }
+
+    // ============ HTTP INJECT API ============
+    // Allows monitoring Cooper to inject messages programmatically.
+    // The gateway also long-polls /messages/next here when delivery mode is mcp.
+    // Every request needs a bearer token (see core/auth.js); [LAIN] can only come from Discord.
+    let httpServer = null;
+
+    function createHttpAuth() {
+        const principals = parseApiTokens(CONFIG.API_TOKENS);
+        principals.push({ name: 'gateway', token: gatewayToken, sources: [], internal: true });
+        auth = createAuthenticator(principals);
+        injectAudit = createAuditLog(instanceDataPath('inject-audit.jsonl'));
+        if (auth.count === 0) {
+            log.info(`No WIRED_API_TOKENS configured - HTTP inject is disabled`);
+        }
+    }
+
+    async function handleInject(req, res, principal) {
+        const data = await readJsonBody(req, CONFIG.MAX_BODY_BYTES);
+        const content = data.content || data.message;
+        const audit = { token: principal.name, ip: req.socket.remoteAddress, requested_source: data.source || null, content };
+
+        const { source, error } = auth.resolveSource(principal, data.source);
+        if (error) {
+            injectAudit.record({ ...audit, result: 'forbidden', error });
+            sendJson(res, 403, { error });
+            return;
+        }
+
+        if (!content) {
+            injectAudit.record({ ...audit, source, result: 'rejected', error: 'Missing content' });
+            sendJson(res, 400, { error: 'Missing content' });
+            return;
+        }
+
+        log.info(`HTTP inject (${source} via ${principal.name}): ${String(content).substring(0, 50)}`);
+        const result = router.route({
+            source,
+            content,
+            // Callers may pass an id so retried requests are not delivered twice
+            origin: data.id ? `http:${data.id}` : null,
+            meta: { user: principal.name },
+        });
+        injectAudit.record({ ...audit, source, result: result.status, id: result.id });
+
+        sendJson(res, 200, {
+            success: result.status !== 'duplicate',
+            id: result.id,
+            status: result.status,
+            source,
+            instance: instanceNumber,
+        });
+    }
+
+    async function handleNextMessage(req, res, url) {
+        const channel = url.searchParams.get('channel') || 'tars';
+        const waitSeconds = Math.min(parseInt(url.searchParams.get('wait') || '0') || 0, 60);
+        const filter = { author: url.searchParams.get('author'), prefix: url.searchParams.get('prefix') };
+        if (!WAIT_CHANNELS.includes(channel)) {
+            sendJson(res, 400, { error: `Unknown channel "${channel}"`, channels: WAIT_CHANNELS });
+            return;
+        }
+
+        // Stop waiting if the gateway goes away mid-poll (or its MCP request was cancelled)
+        const abort = new AbortController();
+        res.on('close', () => abort.abort());
+
+        const msg = await router.next(channel, waitSeconds * 1000, abort.signal, filter);
+        if (res.writableEnded || res.destroyed) return;
+        if (!msg) {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        sendJson(res, 200, msg);
+    }
+
+    // Server-Sent Events: ?types=a,b filters, ?since=N (or Last-Event-ID) replays from a cursor
+    function handleEvents(req, res, url) {
+        const typeParam = url.searchParams.get('types');
+        const types = typeParam ? typeParam.split(',').map(t => t.trim()).filter(Boolean) : null;
+        const unknown = (types || []).filter(t => !EVENT_TYPES.includes(t));
+        if (unknown.length > 0) {
+            sendJson(res, 400, { error: `Unknown event types: ${unknown.join(', ')}`, types: EVENT_TYPES });
+            return;
+        }
+
+        const cursor = url.searchParams.get('since') ?? req.headers['last-event-id'];
+        const afterSeq = cursor !== undefined && cursor !== null ? parseInt(cursor) || 0 : events.lastSeq;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+
+        const write = (event) => {
+            res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        const { events: backlog, missed } = events.since(afterSeq, types);
+        if (missed > 0) {
+            res.write(`event: gap\ndata: ${JSON.stringify({ missed, after: afterSeq })}\n\n`);
+        }
+        backlog.forEach(write);
+
+        const unsubscribe = events.subscribe((event) => {
+            if (!types || types.includes(event.type)) write(event);
+        });
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    }
+
+    async function handleMetricsReport(req, res) {
+        const report = await readJsonBody(req, CONFIG.MAX_BODY_BYTES);
+        gatewayReport = { ...report, receivedAt: Date.now() };
+        sendJson(res, 200, { ok: true });
+    }
+
+    async function handleAck(req, res) {
+        const { id } = await readJsonBody(req, CONFIG.MAX_BODY_BYTES);
+        if (!id) {
+            sendJson(res, 400, { error: 'Missing id' });
+            return;
+        }
+        const acked = router.ack(id);
+        sendJson(res, acked ? 200 : 404, acked ? { acked: id } : { error: `No in-flight message ${id}` });
+    }
+
+    function startHttpServer() {
+        // The dashboard is served from here, so our own origin is always allowed
+        const allowedOrigins = [
+            ...CONFIG.CORS_ORIGINS,
+            `http://127.0.0.1:${httpPort}`,
+            `http://localhost:${httpPort}`,
+        ];
+
+        httpServer = createServer(async (req, res) => {
+            // CORS: only explicitly allowed origins, and browsers from anywhere else are refused
+            const origin = req.headers.origin;
+            if (origin) {
+                if (!allowedOrigins.includes(origin)) {
+                    sendJson(res, 403, { error: `Origin ${origin} not allowed` });
+                    return;
+                }
+                res.setHeader('Access-Control-Allow-Origin', origin);
+                res.setHeader('Vary', 'Origin');
+                res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+                res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            }
+
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+
+            const url = new URL(req.url, 'http://127.0.0.1');
+
+            // Static dashboard page - holds no data, it calls the API with the user's token
+            if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                fs.createReadStream(CONFIG.DASHBOARD_PATH).pipe(res);
+                return;
+            }
+
+            const principal = auth.authenticate(req);
+            if (!principal) {
+                if (url.pathname === '/inject') {
+                    injectAudit.record({ token: null, ip: req.socket.remoteAddress, result: 'unauthorized' });
+                }
+                sendJson(res, 401, { error: 'Missing or invalid bearer token' });
+                return;
+            }
+
+            try {
+                // The gateway's internal token only reaches the message queue, approvals and metrics push
+                if (req.method === 'POST' && url.pathname === '/metrics/report') {
+                    if (!principal.internal) {
+                        sendJson(res, 403, { error: 'Reserved for the gateway' });
+                        return;
+                    }
+                    await handleMetricsReport(req, res);
+                    return;
+                }
+                if (url.pathname.startsWith('/messages/')) {
+                    if (!principal.internal) {
+                        sendJson(res, 403, { error: 'Reserved for the gateway' });
+                        return;
+                    }
+                    if (req.method === 'GET' && url.pathname === '/messages/next') {
+                        await handleNextMessage(req, res, url);
+                        return;
+                    }
+                    if (req.method === 'POST' && url.pathname === '/messages/ack') {
+                        await handleAck(req, res);
+                        return;
+                    }
+                } else if (url.pathname === '/approvals' || url.pathname.startsWith('/approvals/')) {
+                    if (!principal.internal) {
+                        sendJson(res, 403, { error: 'Reserved for the gateway' });
+                        return;
+                    }
+                    if (req.method === 'POST' && url.pathname === '/approvals') {
+                        await handleOpenApproval(req, res);
+                        return;
+                    }
+                    const approvalMatch = url.pathname.match(/^\/approvals\/([\w-]+)$/);
+                    if (req.method === 'GET' && approvalMatch) {
+                        await handleWaitApproval(req, res, url, approvalMatch[1]);
+                        return;
+                    }
+                } else if (principal.internal) {
+                    sendJson(res, 403, { error: 'Gateway token is limited to /messages/*, /approvals and /metrics/report' });
+                    return;
+                }
+
+                if (req.method === 'POST' && url.pathname === '/inject') {
+                    await handleInject(req, res, principal);
+                    return;
+                }
+
+                const restartMatch = url.pathname.match(/^\/restart\/(\w+)$/);
+                if (req.method === 'POST' && restartMatch) {
+                    const supervisor = getSupervisor(restartMatch[1]);
+                    if (!supervisor) {
+                        sendJson(res, 404, { error: `Unknown child: ${restartMatch[1]}` });
+                        return;
+                    }
+                    log.info(`Manual restart: ${supervisor.name}`);
+                    supervisor.restartNow();
+                    sendJson(res, 200, { restarted: supervisor.name, ...supervisor.stats() });
+                    return;
+                }
+
+                if (req.method === 'POST' && (url.pathname === '/pause' || url.pathname === '/resume')) {
+                    const paused = url.pathname === '/pause';
+                    const changed = paused ? pauseInstance(principal.name) : resumeInstance(principal.name);
+                    sendJson(res, 200, { paused: Boolean(pause), changed, pause, held: router.stats().held });
+                    return;
+                }
+
+                if (req.method === 'GET' && url.pathname === '/events') {
+                    handleEvents(req, res, url);
+                    return;
+                }
+
+                if (req.method === 'GET' && url.pathname === '/metrics') {
+                    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                    res.end(metrics.render());
+                    return;
+                }
+
+                if (req.method === 'GET' && url.pathname === '/instances') {
+                    sendJson(res, 200, { instances: readInstanceStates(CONFIG.INSTANCE_DIR) });
+                    return;
+                }
+
+                if (req.method === 'GET' && url.pathname === '/config') {
+                    sendJson(res, 200, CONFIG.EFFECTIVE_CONFIG);
+                    return;
+                }
+
+                if (req.method === 'GET' && url.pathname === '/romilly/scores') {
+                    const limit = Math.min(parseInt(url.searchParams.get('limit') || '200') || 200, SCORE_HISTORY_LIMIT);
+                    sendJson(res, 200, { scores: romillyScores.slice(-limit) });
+                    return;
+                }
+
+                if (req.method === 'GET' && url.pathname === '/transcript') {
+                    if (!fs.existsSync(transcript.path)) {
+                        sendJson(res, 404, { error: 'No transcript yet' });
+                        return;
+                    }
+                    res.writeHead(200, {
+                        'Content-Type': 'application/x-ndjson',
+                        'Content-Disposition': `attachment; filename="wired-${instanceNumber}-transcript.jsonl"`,
+                    });
+                    fs.createReadStream(transcript.path).pipe(res);
+                    return;
+                }
+
+                if (req.method === 'GET' && url.pathname === '/status') {
+                    sendJson(res, 200, {
+                        instance: instanceNumber,
+                        claude_pid: claudeProcess?.pid || null,
+                        romilly_pid: romillyProcess?.pid || null,
+                        uptime: uptimeSeconds(),
+                        session_active: sessionActive,
+                        paused: pause,
+                        session_id: transcript.currentSessionId(),
+                        resumed_from: claudeSession?.resumedFrom || null,
+                        liveness: liveness.stats(),
+                        children: {
+                            claude: claudeSupervisor.stats(),
+                            romilly: romillySupervisor.stats(),
+                        },
+                        router: router.stats(),
+                        usage: usage.stats(),
+                        tools: { ...toolAudit.stats(), policy: CONFIG.POLICY.stats() },
+                        approvals: { enabled: CONFIG.APPROVAL.enabled, ...approvals.stats(), open: approvals.pending() },
+                        events: events.stats(),
+                    });
+                    return;
+                }
+
+                sendJson(res, 404, { error: 'Not found' });
+            } catch (e) {
+                if (!res.headersSent) sendJson(res, e.statusCode || 400, { error: e.message });
+            }
+        });
+
+        return listen(httpServer, httpPort).then(() => {
+            log.info(`HTTP inject API + dashboard on http://127.0.0.1:${httpPort}/`);
+        });
+    }
+
+    function uptimeSeconds() {
+        return startedAt ? (Date.now() - startedAt) / 1000 : 0;
+    }
+
+    // ============ LIFECYCLE ============
+    // The slot is already claimed by the caller (daemon.js); start() builds the
+    // rest: channels, durable state, HTTP API, then Claude and ROMILLY.
+    async function start() {
+        startedAt = Date.now();
+        const { tarsChannel, romillyChannel } = await createInstanceChannels(instanceNumber);
+        tarsChannelId = tarsChannel.id;
+        romillyChannelId = romillyChannel.id;
+
+        transcript = createTranscript(instanceDataPath('transcript.jsonl'), CONFIG.TRANSCRIPT);
+        usage = createUsageTracker(instanceDataPath('usage.json'), CONFIG.BUDGET);
+        toolAudit = createToolAudit(instanceDataPath('tool-audit.jsonl'));
+        if (CONFIG.APPROVAL.enabled && !hasApprover()) {
+            log.error('Approvals are on but neither discord.allowedUserId nor discord.commandRoleId is set - calls that need approval are denied');
+        }
+        approvals = createApprovals(instanceDataPath('approvals.jsonl'), {
+            timeoutMs: CONFIG.APPROVAL.timeoutMs,
+            timeoutAction: CONFIG.APPROVAL.timeoutAction,
+            onDecided: handleApprovalDecided,
+        });
+        loadRomillyScores();
+        router = createRouter({
+            instanceNumber,
+            log: log.child({ component: 'router', label: `ROUTER-${instanceNumber}` }),
+            mode: CONFIG.DELIVERY_MODE,
+            writeStdin: deliverToClaude,
+            inbox: createInbox(instanceDataPath('inbox.jsonl')),
+            onRouted: (msg, status) => {
+                METRICS.injections.inc({ source: msg.source });
+                events.publish('injection', {
+                    id: msg.id,
+                    source: msg.source,
+                    channel_type: msg.channel_type,
+                    user: msg.user || null,
+                    content: msg.content,
+                    status,
+                });
+            },
+        });
+
+        pause = loadPause();
+        if (pause) {
+            router.hold('paused'); // Paused before the daemon restarted
+            log.info(`Still paused (since ${pause.since}, by ${pause.by})`);
+        }
+        checkBudget(); // Still over budget from before a restart
+        budgetTimer = setInterval(checkBudget, BUDGET_CHECK_MS);
+
+        createChildSupervisors();
+        createLiveness();
+        createHttpAuth();
+        await startHttpServer();
+        saveInstanceState();
+
+        await tarsChannel.send(`**WIRED #${instanceNumber} ONLINE**
+\`\`\`
+Host: ${os.hostname()}
+Instance: ${instanceNumber}
+PID: ${process.pid}
+HTTP: ${httpPort}
+TARS: #${instanceNumber}-tars
+ROMILLY: #${instanceNumber}-romilly
+\`\`\`
+${pause ? `PAUSED since ${pause.since.slice(0, 16).replace('T', ' ')} UTC by ${pause.by} - messages are queued until /resume.` : 'Send messages here to inject into TARS.'}`);
+
+        setupMessageListeners();
+        if (CONFIG.APPROVAL.enabled) setupApprovalListener();
+        startStatusUpdates();
+        claudeSupervisor.start();
+
+        // Give Claude a head start before launching ROMILLY
+        romillyKickoff = setTimeout(() => romillySupervisor.start(), CONFIG.ROMILLY_START_DELAY_MS);
+
+        log.info(`System online`);
+    }
+
+    async function stop(reason = 'shutdown') {
+        log.info(`Stopping (${reason})...`);
+
+        clearTimeout(statusKickoff);
+        clearTimeout(romillyKickoff);
+        if (statusTimer) clearInterval(statusTimer);
+        clearInterval(budgetTimer);
+        usage?.save();
+        if (messageListener) discordClient.off('messageCreate', messageListener);
+        if (approvalListener) discordClient.off('interactionCreate', approvalListener);
+        approvals?.closeAll(`instance stopping (${reason})`);
+        liveness?.stop();
+
+        // Kill child processes FIRST (fast, local) - supervisors stop restarting them
+        romillySupervisor?.stop('SIGTERM');
+        claudeSupervisor?.stop('SIGTERM');
+
+        const claude = claudeProcess;
+        const romilly = romillyProcess;
+        setTimeout(() => {
+            if (claude && !claude.killed) claude.kill('SIGKILL');
+            if (romilly && !romilly.killed) romilly.kill('SIGKILL');
+        }, 1000);
+
+        httpServer?.close();
+        httpServer?.closeAllConnections?.(); // SSE streams would keep it open
+
+        // Channels go before the slot is freed, so a new #N cannot adopt them by name
+        await archiveAndRemoveChannels(reason);
+
+        cleanupInstanceState();
+        log.info(`State file cleaned (slot #${instanceNumber} freed)`);
+    }
+
+    // Export history, then delete the channels (Cooper directive: clean slate)
+    // or move them to ARCHIVE. A failed export keeps them: moved, never deleted.
+    async function archiveAndRemoveChannels(reason) {
+        try {
+            const guild = discordClient?.guilds?.cache?.get(CONFIG.GUILD_ID);
+            if (!guild) return;
+            const channels = [tarsChannelId, romillyChannelId]
+                .map(id => guild.channels.cache.get(id))
+                .filter(Boolean);
+            const category = channels[0]?.parent;
+            let keep = CONFIG.ARCHIVE.mode === 'move';
+
+            if (CONFIG.ARCHIVE.enabled && channels.length) {
+                try {
+                    const archive = await archiveChannels({
+                        channels,
+                        dataDir: CONFIG.DATA_DIR,
+                        instanceNumber,
+                        reason,
+                        downloadAttachments: CONFIG.ARCHIVE.downloadAttachments,
+                        maxAttachmentBytes: CONFIG.ARCHIVE.maxAttachmentBytes,
+                    });
+                    const counts = archive.channels.map(c => `#${c.name} ${c.messages} msgs`).join(', ');
+                    log.info(`Archived ${counts} to ${archive.dir}`);
+                    if (!archive.complete) {
+                        const missing = archive.channels.flatMap(c => c.missing.map(m => `#${c.name}: ${m}`));
+                        log.warn(`Archive incomplete, ${missing.length} attachment(s) not saved: ${missing.join('; ')}`);
+                        if (CONFIG.ARCHIVE.keepIncomplete) keep = true;
+                    }
+                } catch (e) {
+                    log.error(`Archive failed, keeping channels: ${e.message}`);
+                    keep = true;
+                }
+            }
+
+            for (const channel of channels) {
+                if (keep) {
+                    await moveToArchive(guild, channel);
+                } else {
+                    await channel.delete('WIRED instance shutdown');
+                    log.info(`Deleted #${channel.name}`);
+                }
+            }
+            if (category && category.children.cache.size === 0) {
+                await category.delete('WIRED instance shutdown - empty category');
+                log.info(`Deleted empty category`);
+            }
+        } catch (e) {
+            log.error(`Channel cleanup failed: ${e.message}`);
+        }
+    }
+
+    function summary() {
+        return {
+            instance: instanceNumber,
+            http_port: httpPort,
+            started_at: startedAt ? new Date(startedAt).toISOString() : null,
+            session_active: sessionActive,
+            tars_channel_id: tarsChannelId,
+            romilly_channel_id: romillyChannelId,
+            children: {
+                claude: claudeSupervisor?.stats() || null,
+                romilly: romillySupervisor?.stats() || null,
+            },
+            liveness: liveness?.stats().state || null,
+            paused: pause,
+        };
+    }
+
+    return { instanceNumber, httpPort, start, stop, summary, ownsChannel, runCommand };
+}
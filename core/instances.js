@@ -0,0 +1,233 @@
+/**
+ * WIRED INSTANCES - Slot claiming and the wired-instance-N.json state files
+ *
+ * Each running daemon holds one slot N in INSTANCE_DIR:
+ *
+ *   wired-instance-N.lock  - created with O_EXCL when the slot is claimed,
+ *                            before any Discord channel exists
+ *   wired-instance-N.json  - written once the instance is up (saveInstanceState)
+ *
+ * A lock whose PID is dead on this host is stale and can be taken over.
+ * Locks and state files from other hosts (shared INSTANCE_DIR) are never
+ * touched: their PIDs cannot be checked from here.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+
+const STATE_FILE_PATTERN = /^wired-instance-(\d+)\.json$/;
+const LOCK_FILE_PATTERN = /^wired-instance-(\d+)\.lock$/;
+const MAX_SLOTS = 999;
+// A lock file still empty after this long was left by a crash mid-claim
+const UNREADABLE_LOCK_GRACE_MS = 10 * 1000;
+
+export function stateFilePath(instanceDir, n) {
+    return join(instanceDir, `wired-instance-${n}.json`);
+}
+
+export function lockFilePath(instanceDir, n) {
+    return join(instanceDir, `wired-instance-${n}.lock`);
+}
+
+function readJson(path) {
+    try {
+        return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function fileAgeMs(path) {
+    try {
+        return Date.now() - fs.statSync(path).mtimeMs;
+    } catch (e) {
+        return 0;
+    }
+}
+
+/** True when a lock/state holder is on this host (or predates the hostname field). */
+export function isLocalHolder(holder, hostname = os.hostname()) {
+    return !holder?.hostname || holder.hostname === hostname;
+}
+
+export function isPidAlive(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0); // Signal 0 = just check if process exists
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM'; // Exists, owned by someone else
+    }
+}
+
+/**
+ * Whether a lock may be taken over: its holder is on this host and dead,
+ * or it has been unreadable for longer than a claim takes.
+ */
+function isStaleLock(path, hostname) {
+    const holder = readJson(path);
+    if (!holder) return fileAgeMs(path) > UNREADABLE_LOCK_GRACE_MS;
+    if (!isLocalHolder(holder, hostname)) return false;
+    return !isPidAlive(holder.pid);
+}
+
+/**
+ * Run fn while holding the short-lived `.takeover` lock of a slot lock.
+ * Only one claimant (or cleanup) can touch a stale lock at a time -
+ * otherwise two daemons could both see it stale and the second would delete
+ * the first one's fresh claim. Returns false when someone else holds it.
+ */
+function withTakeoverLock(path, body, fn) {
+    const takeover = `${path}.takeover`;
+    try {
+        fs.writeFileSync(takeover, body, { flag: 'wx' });
+    } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        if (fileAgeMs(takeover) > UNREADABLE_LOCK_GRACE_MS) fs.rmSync(takeover, { force: true });
+        return false;
+    }
+
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(takeover, { force: true });
+    }
+}
+
+/** Replace a stale lock with our claim. */
+function takeOverStaleLock(path, hostname, body) {
+    return withTakeoverLock(path, body, () => {
+        if (!isStaleLock(path, hostname)) return false;
+        fs.rmSync(path, { force: true });
+        try {
+            fs.writeFileSync(path, body, { flag: 'wx' });
+            return true;
+        } catch (e) {
+            if (e.code === 'EEXIST') return false;
+            throw e;
+        }
+    });
+}
+
+/**
+ * Delete a lock found stale (startup cleanup). Re-checked under the
+ * takeover lock, so a lock another daemon just took over stays.
+ * Returns true when it was removed.
+ */
+export function removeStaleLock(path, { hostname = os.hostname(), pid = process.pid } = {}) {
+    const body = JSON.stringify({ pid, hostname, cleanup: true });
+    return withTakeoverLock(path, body, () => {
+        if (!isStaleLock(path, hostname)) return false;
+        fs.rmSync(path, { force: true });
+        return true;
+    });
+}
+
+/**
+ * Atomically claim the lowest free slot. Returns the slot number.
+ * A slot is free when nobody holds its lock (or the lock is stale) and no
+ * live instance without a lock (older daemons) has a state file for it.
+ */
+export function claimInstanceSlot(instanceDir, { hostname = os.hostname(), pid = process.pid } = {}) {
+    for (let n = 1; n <= MAX_SLOTS; n++) {
+        const state = readJson(stateFilePath(instanceDir, n));
+        if (state && state.pid !== pid && (!isLocalHolder(state, hostname) || isPidAlive(state.pid))) {
+            continue; // Live (or remote) instance in this slot
+        }
+
+        const path = lockFilePath(instanceDir, n);
+        const body = JSON.stringify({ instanceNumber: n, pid, hostname, claimedAt: new Date().toISOString() });
+        try {
+            fs.writeFileSync(path, body, { flag: 'wx' });
+            return n;
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+
+        if (isStaleLock(path, hostname) && takeOverStaleLock(path, hostname, body)) {
+            return n;
+        }
+    }
+    throw new Error(`No free instance slot in ${instanceDir} (checked ${MAX_SLOTS})`);
+}
+
+/** Release our lock on slot n (no-op if someone else holds it). */
+export function releaseInstanceSlot(instanceDir, n, { pid = process.pid } = {}) {
+    const path = lockFilePath(instanceDir, n);
+    const holder = readJson(path);
+    if (holder?.pid === pid) fs.rmSync(path, { force: true });
+}
+
+/**
+ * All slot locks in instanceDir, sorted by instance number. Like
+ * readInstanceStates, `alive` is null for locks held by another host.
+ */
+export function readInstanceLocks(instanceDir, hostname = os.hostname()) {
+    let files = [];
+    try {
+        files = fs.readdirSync(instanceDir);
+    } catch (e) {
+        return [];
+    }
+
+    return files
+        .map(f => f.match(LOCK_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, n]) => {
+            const path = join(instanceDir, file);
+            const holder = readJson(path) || {};
+            const remote = !isLocalHolder(holder, hostname);
+            return {
+                ...holder,
+                instanceNumber: parseInt(n),
+                file: path,
+                remote,
+                alive: remote ? null : isPidAlive(holder.pid),
+            };
+        })
+        .sort((a, b) => a.instanceNumber - b.instanceNumber);
+}
+
+/** Stale lock files left by dead local daemons, e.g. for cleanup on startup. */
+export function findStaleLocks(instanceDir, hostname = os.hostname()) {
+    let files = [];
+    try {
+        files = fs.readdirSync(instanceDir);
+    } catch (e) {
+        return [];
+    }
+    return files
+        .filter(f => LOCK_FILE_PATTERN.test(f))
+        .map(f => join(instanceDir, f))
+        .filter(path => isStaleLock(path, hostname));
+}
+
+/**
+ * All state files in instanceDir, sorted by instance number.
+ * `alive` is only known for this host; remote instances get `remote: true`
+ * and `alive: null`. Unreadable files are returned with an `error`.
+ */
+export function readInstanceStates(instanceDir, hostname = os.hostname()) {
+    let files = [];
+    try {
+        files = fs.readdirSync(instanceDir);
+    } catch (e) {
+        return [];
+    }
+
+    return files
+        .map(f => f.match(STATE_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, n]) => {
+            const path = join(instanceDir, file);
+            try {
+                const state = JSON.parse(fs.readFileSync(path, 'utf8'));
+                if (!isLocalHolder(state, hostname)) return { ...state, file: path, remote: true, alive: null };
+                return { ...state, file: path, remote: false, alive: isPidAlive(state.pid) };
+            } catch (e) {
+                return { instanceNumber: parseInt(n), file: path, alive: false, error: e.message };
+            }
+        })
+        .sort((a, b) => a.instanceNumber - b.instanceNumber);
+}
@@ -0,0 +1,172 @@
+/**
+ * WIRED LIVENESS - Hang detection for the TARS Claude session
+ *
+ * Watches the stream-json events Claude prints and classifies the session:
+ *
+ *   active  - events are flowing
+ *   waiting - blocked in wait_for_message with nothing pending (healthy idle)
+ *   idle    - the last turn ended and no input is pending
+ *   stalled - quiet for too long while it should be working: input went
+ *             unanswered, a tool call never returned, or a turn went silent
+ *
+ * A stall escalates through the policy: first a nudge over stdin, then a
+ * restart (SIGTERM + respawn). Any new event ends the stall episode.
+ * While active() is false (the session is parked or backing off) nothing is
+ * checked, so a parked session stays down.
+ */
+
+const IDLE_TOOL_PATTERN = /wait_for_message$/; // MCP names look like mcp__wired-gateway__wait_for_message
+
+function clip(text, max = 200) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > max ? `${flat.slice(0, max)}…` : flat;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.log - logger from createLogger()
+ * @param {object} opts.policy - { checkIntervalMs, nudgeAfterMs, restartAfterMs } (0 disables a step)
+ * @param {(info: object) => void} opts.onNudge
+ * @param {(info: object) => void} opts.onRestart
+ * @param {() => boolean} [opts.active] - whether the session is meant to be running
+ */
+export function createLivenessTracker({ log, policy, onNudge, onRestart, active = () => true }) {
+    let sessionStartedAt = Date.now();
+    let lastEventAt = null;
+    let lastEventType = null;
+    let lastInputAt = null;
+    let lastToolUse = null; // { name, at }
+    let lastText = null; // { text, at }
+    let turnOpen = true; // a fresh session is expected to start working
+    const openTools = new Map(); // tool_use id -> { name, at }
+
+    let episode = null; // { nudged } while a stall is ongoing
+    let nudges = 0;
+    let stallRestarts = 0;
+    let timer = null;
+
+    /** Feed one stream-json event from Claude stdout. */
+    function observe(event) {
+        const now = Date.now();
+        lastEventAt = now;
+        lastEventType = event.subtype ? `${event.type}/${event.subtype}` : event.type;
+        episode = null;
+
+        if (event.type === 'assistant' && Array.isArray(event.message?.content)) {
+            turnOpen = true;
+            for (const part of event.message.content) {
+                if (part.type === 'text' && part.text) lastText = { text: clip(part.text), at: now };
+                if (part.type === 'tool_use') {
+                    lastToolUse = { name: part.name, at: now };
+                    openTools.set(part.id, { name: part.name, at: now });
+                }
+            }
+        }
+
+        if (event.type === 'user' && Array.isArray(event.message?.content)) {
+            for (const part of event.message.content) {
+                if (part.type === 'tool_result') openTools.delete(part.tool_use_id);
+            }
+        }
+
+        if (event.type === 'result') {
+            turnOpen = false;
+            openTools.clear();
+        }
+    }
+
+    /** A routed message was written to stdin and deserves a response. */
+    function noteInput() {
+        lastInputAt = Date.now();
+        turnOpen = true;
+    }
+
+    /** A new Claude process was spawned. */
+    function reset() {
+        sessionStartedAt = Date.now();
+        lastEventAt = null;
+        lastInputAt = null;
+        turnOpen = true;
+        openTools.clear();
+        episode = null;
+    }
+
+    function assess() {
+        const now = Date.now();
+        const since = Math.max(lastEventAt || 0, sessionStartedAt);
+        const tools = [...openTools.values()];
+        const busyTools = tools.filter(t => !IDLE_TOOL_PATTERN.test(t.name));
+
+        if (lastInputAt && lastInputAt > since) {
+            return { state: 'stalled', reason: 'no response to input', quietMs: now - lastInputAt };
+        }
+        if (busyTools.length > 0) {
+            const oldest = busyTools.reduce((a, b) => (a.at <= b.at ? a : b));
+            return { state: 'stalled', reason: `stuck in tool ${oldest.name}`, quietMs: now - since };
+        }
+        if (tools.length > 0) return { state: 'waiting', reason: 'waiting for message', quietMs: now - since };
+        if (!turnOpen) return { state: 'idle', reason: 'turn ended', quietMs: now - since };
+        return { state: 'stalled', reason: 'silent mid-turn', quietMs: now - since };
+    }
+
+    function check() {
+        if (!active()) {
+            episode = null;
+            return;
+        }
+        const assessment = assess();
+        if (assessment.state !== 'stalled') {
+            episode = null;
+            return;
+        }
+
+        if (!episode) episode = { nudged: false };
+        const info = { ...assessment, quietMinutes: Math.round(assessment.quietMs / 60000) };
+
+        if (policy.restartAfterMs > 0 && assessment.quietMs >= policy.restartAfterMs) {
+            stallRestarts++;
+            episode = null;
+            log.error(`TARS stalled (${assessment.reason}, ${info.quietMinutes}m), restarting session`);
+            onRestart(info);
+            return;
+        }
+
+        if (policy.nudgeAfterMs > 0 && assessment.quietMs >= policy.nudgeAfterMs && !episode.nudged) {
+            episode.nudged = true;
+            nudges++;
+            log.info(`TARS quiet (${assessment.reason}, ${info.quietMinutes}m), nudging`);
+            onNudge(info);
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(check, policy.checkIntervalMs);
+        timer.unref?.();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function stats() {
+        const { state, reason, quietMs } = assess();
+        // Below the nudge threshold a "stalled" session is just busy
+        const busy = state === 'stalled' && quietMs < (policy.nudgeAfterMs || Infinity);
+        return {
+            state: busy ? 'active' : state,
+            reason,
+            quiet_seconds: Math.round(quietMs / 1000),
+            last_event_at: lastEventAt ? new Date(lastEventAt).toISOString() : null,
+            last_event_type: lastEventType,
+            last_tool_use: lastToolUse ? { name: lastToolUse.name, at: new Date(lastToolUse.at).toISOString() } : null,
+            last_text: lastText ? { text: lastText.text, at: new Date(lastText.at).toISOString() } : null,
+            open_tools: [...openTools.values()].map(t => t.name),
+            nudges,
+            stall_restarts: stallRestarts,
+        };
+    }
+
+    return { observe, noteInput, reset, check, start, stop, stats };
+}
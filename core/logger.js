@@ -0,0 +1,226 @@
+/**
+ * WIRED LOGGER - JSON-lines logs shared by daemon, gateway and ROMILLY
+ *
+ * Every process writes its own file in the instance's log directory, one
+ * JSON object per line:
+ *
+ *   <dataDir>/instance-N/logs/daemon.jsonl    daemon, TARS output, router, ...
+ *                             gateway.jsonl   MCP gateway
+ *                             romilly.jsonl   overwatcher
+ *   <dataDir>/logs/daemon.jsonl               process-wide (slots, host API)
+ *
+ *   {"ts":"...","level":"info","component":"tars","instance":1,"msg":"..."}
+ *
+ * Files rotate by size or daily to daemon.1.jsonl, daemon.2.jsonl, ...
+ * queryLogs() reads them back (ROMILLY, `wired logs`).
+ */
+
+import fs from 'fs';
+import { join, dirname } from 'path';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/** Log directory of an instance, or of the process when instanceNumber is null. */
+export function logDir(dataDir, instanceNumber = null) {
+    return instanceNumber === null
+        ? join(dataDir, 'logs')
+        : join(dataDir, `instance-${instanceNumber}`, 'logs');
+}
+
+function rotatedPath(path, n) {
+    return path.replace(/\.jsonl$/, `.${n}.jsonl`);
+}
+
+function day(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// One writer per file, so every logger of a process shares its size and rotation
+const writers = new Map();
+
+function openWriter(path, { rotation, maxBytes, maxFiles }) {
+    if (writers.has(path)) return writers.get(path);
+
+    let size = 0;
+    let fileDay = day();
+    try {
+        const stat = fs.statSync(path);
+        size = stat.size;
+        fileDay = day(stat.mtime);
+    } catch (e) {
+        // New file
+    }
+
+    function rotate() {
+        for (let n = maxFiles - 1; n >= 1; n--) {
+            try { fs.renameSync(rotatedPath(path, n), rotatedPath(path, n + 1)); } catch (e) { /* gap */ }
+        }
+        fs.renameSync(path, rotatedPath(path, 1));
+        size = 0;
+    }
+
+    let failed = false;
+    const writer = {
+        write(line) {
+            try {
+                const bytes = Buffer.byteLength(line);
+                const due = rotation === 'daily' ? day() !== fileDay : size + bytes > maxBytes;
+                if (size > 0 && due) rotate();
+                if (size === 0) fs.mkdirSync(dirname(path), { recursive: true });
+                fs.appendFileSync(path, line);
+                size += bytes;
+                fileDay = day();
+                failed = false;
+            } catch (e) {
+                if (!failed) console.error(`[LOG] Write to ${path} failed: ${e.message}`);
+                failed = true; // Once per outage, not once per line
+            }
+        },
+    };
+    writers.set(path, writer);
+    return writer;
+}
+
+/**
+ * Logger writing JSON lines to `<dir>/<file>.jsonl` and, readable, to the
+ * console as `[label] msg`. Without `dir` it only logs to the console.
+ *
+ * @param {object} opts
+ * @param {string|null} [opts.dir] - log directory (see logDir)
+ * @param {string} [opts.file] - process name: daemon | gateway | romilly
+ * @param {string} opts.component - e.g. 'daemon', 'tars', 'router'
+ * @param {number|null} [opts.instance]
+ * @param {string} [opts.label] - console prefix, e.g. 'WIRED-1'
+ * @param {string} [opts.level] - lowest level recorded
+ * @param {'size'|'daily'} [opts.rotation]
+ * @param {number} [opts.maxBytes] - size rotation threshold
+ * @param {number} [opts.maxFiles] - rotated files kept
+ * @param {'stdout'|'stderr'|false} [opts.console] - stderr for processes whose stdout is a protocol
+ */
+export function createLogger({
+    dir = null,
+    file = 'daemon',
+    component,
+    instance = null,
+    label = component.toUpperCase(),
+    level = 'info',
+    rotation = 'size',
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxFiles = DEFAULT_MAX_FILES,
+    console: consoleMode = 'stdout',
+} = {}) {
+    const options = { dir, file, component, instance, label, level, rotation, maxBytes, maxFiles, console: consoleMode };
+    const threshold = LOG_LEVELS.indexOf(level);
+    const writer = dir ? openWriter(join(dir, `${file}.jsonl`), options) : null;
+
+    function log(entryLevel, msg, fields = {}) {
+        if (LOG_LEVELS.indexOf(entryLevel) < threshold) return;
+
+        if (consoleMode) {
+            const toStderr = consoleMode === 'stderr' || entryLevel === 'warn' || entryLevel === 'error';
+            (toStderr ? console.error : console.log)(`[${label}] ${msg}`);
+        }
+        writer?.write(JSON.stringify({
+            ts: new Date().toISOString(),
+            level: entryLevel,
+            component,
+            instance,
+            msg,
+            ...fields,
+        }) + '\n');
+    }
+
+    return {
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+
+        /** Same file and settings, another component/label. */
+        child: (overrides) => createLogger({ ...options, ...overrides }),
+    };
+}
+
+// ============ QUERY ============
+function logFiles(dir) {
+    let names = [];
+    try {
+        names = fs.readdirSync(dir);
+    } catch (e) {
+        return new Map();
+    }
+    // process -> files newest first (x.jsonl, x.1.jsonl, x.2.jsonl, ...)
+    const byProcess = new Map();
+    for (const name of names) {
+        const match = name.match(/^(\w+)(?:\.(\d+))?\.jsonl$/);
+        if (!match) continue;
+        const list = byProcess.get(match[1]) || [];
+        list.push({ path: join(dir, name), n: Number(match[2] || 0) });
+        byProcess.set(match[1], list);
+    }
+    for (const list of byProcess.values()) list.sort((a, b) => a.n - b.n);
+    return byProcess;
+}
+
+/**
+ * Most recent matching entries in a log directory, oldest first.
+ *
+ * @param {string} dir
+ * @param {object} [filter]
+ * @param {string[]} [filter.files] - processes to read (default: all)
+ * @param {string[]} [filter.components]
+ * @param {string} [filter.level] - minimum level
+ * @param {string|Date} [filter.since]
+ * @param {string|RegExp} [filter.grep] - matched against msg (strings: case-insensitive)
+ * @param {number} [filter.limit]
+ */
+export function queryLogs(dir, { files = null, components = null, level = 'debug', since = null, grep = null, limit = 200 } = {}) {
+    const minLevel = LOG_LEVELS.indexOf(level);
+    const sinceIso = since ? new Date(since).toISOString() : null;
+    const pattern = typeof grep === 'string'
+        ? new RegExp(grep.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+        : grep;
+
+    const matches = [];
+    for (const [name, list] of logFiles(dir)) {
+        if (files && !files.includes(name)) continue;
+
+        // Newest file and line first, so reading stops at `limit` or `since`
+        const found = [];
+        scan: for (const { path } of list) {
+            let lines;
+            try {
+                lines = fs.readFileSync(path, 'utf8').split('\n');
+            } catch (e) {
+                continue; // Rotated away meanwhile
+            }
+            for (let i = lines.length - 1; i >= 0; i--) {
+                if (!lines[i]) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (e) {
+                    continue; // Torn line
+                }
+                if (sinceIso && entry.ts < sinceIso) break scan;
+                if (LOG_LEVELS.indexOf(entry.level) < minLevel) continue;
+                if (components && !components.includes(entry.component)) continue;
+                if (pattern && !pattern.test(entry.msg)) continue;
+                found.push(entry);
+                if (found.length >= limit) break scan;
+            }
+        }
+        matches.push(...found.reverse());
+    }
+    // Stable sort: lines of one process logged in the same millisecond keep their order
+    return matches.sort((a, b) => a.ts.localeCompare(b.ts)).slice(-limit);
+}
+
+/** One entry as a readable line: `ts LEVEL [component-N] msg`. */
+export function formatLogEntry(entry) {
+    const who = entry.instance ? `${entry.component}-${entry.instance}` : entry.component;
+    return `${entry.ts} ${entry.level.toUpperCase().padEnd(5)} [${who}] ${entry.msg}`;
+}
@@ -0,0 +1,66 @@
+/**
+ * WIRED METRICS - Minimal Prometheus registry for the daemon
+ *
+ * Counters and gauges with labels, rendered in the Prometheus text
+ * exposition format (version 0.0.4) for GET /metrics. Gauges can also be
+ * computed at scrape time with a collect() callback.
+ */
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+    const keys = Object.keys(labels).sort();
+    if (keys.length === 0) return '';
+    return `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+}
+
+export function createMetrics({ prefix = 'wired_' } = {}) {
+    const families = []; // { name, help, type, values: Map(labelKey -> value), collect }
+
+    function family(type, name, help, collect = null) {
+        const entry = { name: prefix + name, help, type, values: new Map(), collect };
+        families.push(entry);
+        return entry;
+    }
+
+    /** @param {() => Array<[object, number]>} [collect] - totals owned elsewhere (e.g. another process) */
+    function counter(name, help, collect = null) {
+        const f = family('counter', name, help, collect);
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = labelKey(labels);
+                f.values.set(key, (f.values.get(key) || 0) + amount);
+            },
+        };
+    }
+
+    /** @param {() => Array<[object, number]>} [collect] - computed samples, replaces set() */
+    function gauge(name, help, collect = null) {
+        const f = family('gauge', name, help, collect);
+        return {
+            set(labels, value) {
+                f.values.set(labelKey(labels), value);
+            },
+        };
+    }
+
+    function render() {
+        const lines = [];
+        for (const f of families) {
+            lines.push(`# HELP ${f.name} ${f.help}`);
+            lines.push(`# TYPE ${f.name} ${f.type}`);
+            const samples = f.collect
+                ? f.collect().map(([labels, value]) => [labelKey(labels), value])
+                : [...f.values.entries()];
+            for (const [key, value] of samples) {
+                if (typeof value !== 'number' || Number.isNaN(value)) continue;
+                lines.push(`${f.name}${key} ${value}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return { counter, gauge, render };
+}
@@ -0,0 +1,202 @@
+/**
+ * WIRED POLICY - Deny/alert rules for the tools TARS calls
+ *
+ * Claude runs without permission prompts, so every tool_use is checked
+ * against a declarative policy file (wired.policy.json, see
+ * wired.policy.example.json) as it appears in the stream-json output:
+ *
+ *   {
+ *     "workspace": ["/opt/wired"],
+ *     "rules": [
+ *       { "name": "rm-root", "action": "deny", "tool": "Bash", "input": { "command": "rm\\s+-rf\\s+/(\\s|$)" } },
+ *       { "name": "outside", "action": "alert", "tool": "Read|Write|Edit", "outsideWorkspace": ["file_path"] }
+ *     ]
+ *   }
+ *
+ * tool      regex on the tool name (whole name; MCP tools are mcp__server__tool)
+ * input     regex per input field, all must match (non-string values as JSON)
+ * outsideWorkspace  input fields holding paths; matches when one resolves
+ *           outside every workspace root (default: Claude's working directory)
+ *
+ * alert: report the call. deny: report it and kill the session - the call
+ * cannot be stopped, only what comes after it.
+ *
+ * With approvals on (core/approvals.js), "approve" lists the calls that need
+ * no human - same tool/input matching, no action. On an approve entry
+ * outsideWorkspace works the other way round: every listed field must hold a
+ * path inside the workspace, or the entry does not apply:
+ *
+ *   "approve": [{ "name": "tests", "tool": "Bash", "input": { "command": "^npm (test|run lint)\\b" } },
+ *               { "name": "edits", "tool": "Write|Edit", "outsideWorkspace": ["file_path"] }]
+ *
+ * Deny rules are checked first: a denied call is never approved.
+ */
+
+import fs from 'fs';
+import { resolve, relative, isAbsolute } from 'path';
+
+export const POLICY_ACTIONS = ['alert', 'deny'];
+
+const RULE_KEYS = ['name', 'action', 'tool', 'input', 'outsideWorkspace', 'description'];
+const APPROVE_KEYS = ['name', 'tool', 'input', 'outsideWorkspace', 'description'];
+
+export class PolicyError extends Error {
+    constructor(problems, file) {
+        super(`Invalid policy ${file}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+        this.name = 'PolicyError';
+        this.problems = problems;
+    }
+}
+
+function compile(source, problems, where) {
+    try {
+        return new RegExp(source);
+    } catch (e) {
+        problems.push(`${where}: ${e.message}`);
+        return null;
+    }
+}
+
+/** A rule (list "rules") or an auto-approval (list "approve", no action). */
+function compileRule(rule, index, problems, list = 'rules') {
+    const where = `${list}[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+        problems.push(`${where}: expected an object`);
+        return null;
+    }
+    const approve = list === 'approve';
+    for (const key of Object.keys(rule)) {
+        if (!(approve ? APPROVE_KEYS : RULE_KEYS).includes(key)) problems.push(`${where}: unknown key "${key}"`);
+    }
+    if (typeof rule.name !== 'string' || !rule.name) problems.push(`${where}: "name" is required`);
+    if (approve) {
+        if (rule.tool === undefined && rule.input === undefined) problems.push(`${where}: needs "tool" or "input"`);
+    } else {
+        if (!POLICY_ACTIONS.includes(rule.action)) problems.push(`${where}: "action" must be ${POLICY_ACTIONS.join(' or ')}`);
+        if (rule.input === undefined && rule.outsideWorkspace === undefined) {
+            problems.push(`${where}: needs "input" or "outsideWorkspace"`);
+        }
+    }
+    if (rule.input !== undefined && (typeof rule.input !== 'object' || Array.isArray(rule.input))) {
+        problems.push(`${where}: "input" must map input fields to regexes`);
+    }
+    const fields = rule.outsideWorkspace === undefined ? [] : [].concat(rule.outsideWorkspace);
+    if (fields.some(f => typeof f !== 'string')) problems.push(`${where}: "outsideWorkspace" must list input field names`);
+
+    return {
+        name: rule.name,
+        action: rule.action,
+        description: rule.description || null,
+        tool: rule.tool ? compile(`^(?:${rule.tool})$`, problems, `${where}.tool`) : null,
+        input: Object.entries(rule.input && typeof rule.input === 'object' ? rule.input : {})
+            .map(([field, source]) => [field, compile(String(source), problems, `${where}.input.${field}`)]),
+        outsideWorkspace: fields,
+    };
+}
+
+function isInside(root, path) {
+    const rel = relative(root, path);
+    return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+/**
+ * @param {object} spec - parsed policy file
+ * @param {object} opts
+ * @param {string} opts.cwd - Claude's working directory (relative paths, default workspace)
+ * @param {string} [opts.file] - for messages and status
+ */
+export function createPolicy(spec = {}, { cwd, file = null } = {}) {
+    const problems = [];
+    if (spec.rules !== undefined && !Array.isArray(spec.rules)) problems.push('"rules" must be an array');
+    if (spec.workspace !== undefined && ![].concat(spec.workspace).every(p => typeof p === 'string')) {
+        problems.push('"workspace" must list directories');
+    }
+    if (spec.approve !== undefined && !Array.isArray(spec.approve)) problems.push('"approve" must be an array');
+    const rules = (Array.isArray(spec.rules) ? spec.rules : []).map((rule, i) => compileRule(rule, i, problems));
+    const approvals = (Array.isArray(spec.approve) ? spec.approve : []).map((rule, i) => compileRule(rule, i, problems, 'approve'));
+    if (problems.length > 0) throw new PolicyError(problems, file || '(inline)');
+
+    const workspace = (spec.workspace === undefined ? [cwd] : [].concat(spec.workspace)).map(p => resolve(cwd, p));
+
+    function outside(value) {
+        return typeof value === 'string' && value !== '' && !workspace.some(root => isInside(root, resolve(cwd, value)));
+    }
+
+    function matches(rule, tool, input) {
+        if (rule.tool && !rule.tool.test(tool)) return false;
+        return rule.input.every(([field, regex]) => {
+            const value = input?.[field];
+            if (value === undefined) return false;
+            return regex.test(typeof value === 'string' ? value : JSON.stringify(value));
+        });
+    }
+
+    /** Rules the call breaks: [{ rule, action, reason }]. */
+    function check(tool, input = {}) {
+        const violations = [];
+        for (const rule of rules) {
+            if (!matches(rule, tool, input)) continue;
+
+            const escaped = rule.outsideWorkspace.filter(field => outside(input?.[field]));
+            if (rule.outsideWorkspace.length > 0 && escaped.length === 0) continue;
+
+            violations.push({
+                rule: rule.name,
+                action: rule.action,
+                reason: rule.description || (escaped.length
+                    ? `${escaped.map(f => `${f}=${input[f]}`).join(', ')} is outside the workspace`
+                    : `matches ${rule.input.map(([field]) => field).join(', ')}`),
+            });
+        }
+        return violations;
+    }
+
+    /** Name of the first "approve" entry matching the call, or null. */
+    function autoApprove(tool, input = {}) {
+        const inside = field => typeof input?.[field] === 'string' && input[field] !== '' && !outside(input[field]);
+        return approvals.find(rule => matches(rule, tool, input) && rule.outsideWorkspace.every(inside))?.name ?? null;
+    }
+
+    return {
+        file,
+        workspace,
+        check,
+        autoApprove,
+        stats: () => ({
+            file,
+            workspace,
+            rules: rules.length,
+            deny: rules.filter(r => r.action === 'deny').length,
+            approve: approvals.length,
+        }),
+    };
+}
+
+/** Policy from a JSON file; a missing file is an empty policy (audit only). */
+export function loadPolicy(filePath, { cwd }) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return createPolicy({ rules: [] }, { cwd, file: null });
+        throw new PolicyError([e.message], filePath);
+    }
+    let spec;
+    try {
+        spec = JSON.parse(text);
+    } catch (e) {
+        throw new PolicyError([`not valid JSON: ${e.message}`], filePath);
+    }
+    return createPolicy(spec, { cwd, file: filePath });
+}
+
+/** loadPolicy() for process entry points: print the problems and exit. */
+export function loadPolicyOrExit(label, filePath, opts) {
+    try {
+        return loadPolicy(filePath, opts);
+    } catch (e) {
+        if (!(e instanceof PolicyError)) throw e;
+        console.error(`[${label}] ${e.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * WIRED PROGRESS - One live, pinned status message per TARS task
+ *
+ * The gateway's progress tool posts a message for a new task, pins it, and
+ * from then on edits that message in place:
+ *
+ *   **WIRED #1 · migrate-db** - step 3/7
+ *   `▓▓▓▓░░░░░░` 43%
+ *   Copying table users
+ *
+ * Edits to one message are at least minIntervalMs apart (Discord allows
+ * only a few edits per message in a short window): an update arriving
+ * sooner is held and written when the interval is up, and a newer update
+ * replaces the held one. A done / failed update is written last, then the
+ * message is unpinned and the task forgotten.
+ *
+ * Open tasks are saved to progress.json, so after a restart the same task
+ * keeps editing its message.
+ */
+
+import fs from 'fs';
+import { join, dirname } from 'path';
+
+export const PROGRESS_STATES = ['running', 'done', 'failed'];
+
+const BAR_WIDTH = 10;
+const UNKNOWN_MESSAGE = 10008; // Discord API error code
+
+/** progress.json of an instance (or of a standalone gateway). */
+export function progressFile(dataDir, instanceNumber = null) {
+    return instanceNumber === null
+        ? join(dataDir, 'progress.json')
+        : join(dataDir, `instance-${instanceNumber}`, 'progress.json');
+}
+
+/** Discord text of a progress message. */
+export function progressText(task, { status = '', step = null, total = null, state = 'running' }, instanceNumber = null) {
+    const icon = { running: '⏳', done: '✅', failed: '❌' }[state];
+    const counter = step !== null ? ` - step ${step}${total ? `/${total}` : ''}` : '';
+    const lines = [`${icon} **WIRED${instanceNumber !== null ? ` #${instanceNumber}` : ''} · ${task}**${counter}`];
+    if (step !== null && total) {
+        const ratio = Math.min(Math.max(step / total, 0), 1);
+        const filled = Math.round(ratio * BAR_WIDTH);
+        lines.push(`\`${'▓'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)}\` ${Math.round(ratio * 100)}%`);
+    }
+    if (status) lines.push(status.slice(0, 1500));
+    lines.push(`*${state === 'running' ? 'updated' : state} <t:${Math.floor(Date.now() / 1000)}:R>*`);
+    return lines.join('\n');
+}
+
+/**
+ * @param {object} opts
+ * @param {(channelType: string) => import('discord.js').TextChannel|null} opts.getChannel
+ * @param {string} opts.filePath - progress.json
+ * @param {number} opts.minIntervalMs - least time between two edits of a message
+ * @param {number|null} [opts.instanceNumber]
+ * @param {object} opts.log
+ */
+export function createProgress({ getChannel, filePath, minIntervalMs, instanceNumber = null, log }) {
+    // task -> { channelType, messageId, startedAt, lastEditAt, held, timer }
+    const tasks = new Map();
+    const creating = new Map(); // task -> create() in flight, so concurrent first updates share one message
+    const counts = { created: 0, edits: 0, coalesced: 0, finished: 0 };
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        for (const [task, t] of Object.entries(saved.tasks || {})) {
+            tasks.set(task, { channelType: t.channel_type, messageId: t.message_id, startedAt: t.started_at, lastEditAt: 0, held: null, timer: null });
+        }
+    } catch (e) {
+        // No open tasks
+    }
+
+    function save() {
+        const open = Object.fromEntries([...tasks].map(([task, t]) => [task, { channel_type: t.channelType, message_id: t.messageId, started_at: t.startedAt }]));
+        try {
+            fs.mkdirSync(dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify({ tasks: open }, null, 2));
+        } catch (e) {
+            log.warn(`Could not save progress tasks: ${e.message}`);
+        }
+    }
+
+    function channelFor(channelType) {
+        const channel = getChannel(channelType);
+        if (!channel) throw new Error(`No ${channelType} channel`);
+        return channel;
+    }
+
+    async function create(task, channelType, update) {
+        const channel = channelFor(channelType);
+        const msg = await channel.send(progressText(task, update, instanceNumber));
+        counts.created++;
+        const entry = { channelType, messageId: msg.id, startedAt: new Date().toISOString(), lastEditAt: Date.now(), held: null, timer: null };
+        tasks.set(task, entry);
+        if (update.state === 'running') {
+            await msg.pin().catch(e => log.warn(`Could not pin progress of ${task}: ${e.message}`));
+        }
+        save();
+        return entry;
+    }
+
+    /** Write the held update of a task now. */
+    async function flush(task) {
+        const entry = tasks.get(task);
+        if (!entry?.held) return;
+        const update = entry.held;
+        entry.held = null;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+
+        const channel = channelFor(entry.channelType);
+        try {
+            const msg = await channel.messages.fetch(entry.messageId);
+            await msg.edit(progressText(task, update, instanceNumber));
+            counts.edits++;
+            entry.lastEditAt = Date.now();
+            if (update.state !== 'running') {
+                await msg.unpin().catch(e => log.warn(`Could not unpin progress of ${task}: ${e.message}`));
+            }
+        } catch (e) {
+            if (e.code !== UNKNOWN_MESSAGE) throw e;
+            // Deleted by someone - start over with a fresh message
+            log.info(`Progress message of ${task} is gone, posting a new one`);
+            tasks.delete(task);
+            if (update.state === 'running') await create(task, entry.channelType, update);
+            else save(); // Finished anyway - forget the message id in progress.json too
+        }
+
+        if (update.state !== 'running' && tasks.get(task) === entry) {
+            counts.finished++;
+            tasks.delete(task);
+            save();
+        }
+    }
+
+    function schedule(task, entry) {
+        if (entry.timer) return;
+        const delay = Math.max(0, entry.lastEditAt + minIntervalMs - Date.now());
+        entry.timer = setTimeout(() => {
+            flush(task).catch(e => log.warn(`Progress update of ${task} failed: ${e.message}`));
+        }, delay);
+        entry.timer.unref?.();
+    }
+
+    /**
+     * Show an update of a task.
+     * Returns { task, message_id, state, created, held } - held: the edit waits for the rate limit.
+     *
+     * @param {string} task
+     * @param {object} update
+     * @param {string} [update.status]
+     * @param {number} [update.step]
+     * @param {number} [update.total]
+     * @param {'running'|'done'|'failed'} [update.state]
+     * @param {string} [update.channelType] - where a new task's message goes
+     */
+    async function update(task, { status = '', step = null, total = null, state = 'running', channelType = 'tars' } = {}) {
+        if (!PROGRESS_STATES.includes(state)) throw new Error(`state must be one of ${PROGRESS_STATES.join(', ')}`);
+        const next = { status, step, total, state };
+
+        let entry = tasks.get(task);
+        while (!entry && creating.has(task)) {
+            await creating.get(task).catch(() => {});
+            entry = tasks.get(task);
+        }
+        if (!entry) {
+            const pending = create(task, channelType, next);
+            creating.set(task, pending);
+            try {
+                entry = await pending;
+            } finally {
+                creating.delete(task);
+            }
+            if (state !== 'running') {
+                counts.finished++;
+                tasks.delete(task);
+                save();
+            }
+            return { task, message_id: entry.messageId, state, created: true, held: false };
+        }
+
+        if (entry.held) counts.coalesced++;
+        entry.held = next;
+        if (Date.now() - entry.lastEditAt >= minIntervalMs && !entry.timer) {
+            const messageId = entry.messageId;
+            await flush(task);
+            return { task, message_id: tasks.get(task)?.messageId || messageId, state, created: false, held: false };
+        }
+        schedule(task, entry);
+        return { task, message_id: entry.messageId, state, created: false, held: true };
+    }
+
+    function stats() {
+        return { open: [...tasks.keys()], ...counts };
+    }
+
+    return { update, flush, stats };
+}
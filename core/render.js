@@ -0,0 +1,157 @@
+/**
+ * WIRED RENDER - Markdown-aware Discord messages
+ *
+ * Shared by send_reply and ROMILLY's channel posts. Long text is split
+ * into messages on paragraph, then line, then word boundaries (never inside
+ * a surrogate pair, so emoji survive), and an open ``` fence is closed at
+ * the end of a piece and reopened, with its language, in the next one.
+ *
+ * A text needing more than maxChunks messages is sent as one message with
+ * the beginning and the full text attached as a .md file. Files and embeds
+ * go with the last message.
+ */
+
+import { FILES_PER_MESSAGE } from './attachments.js';
+
+export const CHUNK_LENGTH = 1900; // Discord allows 2000; room for fence repairs
+
+const FENCE_LINE = /^\s*```(\S*)/;
+const CLOSE_FENCE = '\n```';
+
+// Discord embed limits
+const EMBED_LIMITS = { title: 256, description: 4096, fields: 25, fieldName: 256, fieldValue: 1024, footer: 2048, total: 6000 };
+
+// ============ SPLITTING ============
+
+/** Language of the fence still open at the end of text, or null when all are closed. */
+function openFence(text) {
+    let lang = null;
+    for (const line of text.split('\n')) {
+        const m = line.match(FENCE_LINE);
+        if (m) lang = lang === null ? m[1] : null;
+    }
+    return lang;
+}
+
+/** Index to cut window at: paragraph, line, word, or hard - never between a surrogate pair. */
+function cutPoint(window) {
+    const floor = Math.floor(window.length / 2);
+    for (const sep of ['\n\n', '\n', ' ']) {
+        const at = window.lastIndexOf(sep);
+        if (at >= floor) return at;
+    }
+    let at = window.length;
+    const code = window.charCodeAt(at - 1);
+    if (code >= 0xD800 && code <= 0xDBFF) at--;
+    return at;
+}
+
+/**
+ * Split text into Discord-sized messages.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {number} [opts.maxLength] - characters per message
+ * @returns {string[]}
+ */
+export function splitMessage(text, { maxLength = CHUNK_LENGTH } = {}) {
+    const chunks = [];
+    let rest = String(text ?? '').trimEnd();
+
+    while (rest.length > maxLength) {
+        const cut = cutPoint(rest.slice(0, maxLength - CLOSE_FENCE.length));
+        let chunk = rest.slice(0, cut).trimEnd();
+        rest = rest.slice(cut).replace(/^(\n+| )/, '');
+
+        const lang = openFence(chunk);
+        if (lang !== null) {
+            chunk += CLOSE_FENCE;
+            rest = `\`\`\`${lang}\n${rest}`;
+        }
+        if (chunk.trim()) chunks.push(chunk);
+    }
+    if (rest.trim()) chunks.push(rest);
+    return chunks;
+}
+
+// ============ EMBEDS ============
+
+function clip(value, max) {
+    const text = String(value ?? '');
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Discord embed from structured content:
+ * { title, description, url, color ('#rrggbb' or number), fields: [{ name, value, inline }], footer }.
+ * Values are clipped to Discord's limits; throws when there is nothing to show.
+ */
+export function buildEmbed(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('embed must be an object');
+
+    const embed = {};
+    if (spec.title) embed.title = clip(spec.title, EMBED_LIMITS.title);
+    if (spec.description) embed.description = clip(spec.description, EMBED_LIMITS.description);
+    if (spec.url) embed.url = String(spec.url);
+    if (spec.color !== undefined && spec.color !== null) {
+        const color = typeof spec.color === 'number' ? spec.color : parseInt(String(spec.color).replace(/^#/, ''), 16);
+        if (!Number.isInteger(color) || color < 0 || color > 0xFFFFFF) throw new Error(`embed color ${spec.color} is not #rrggbb`);
+        embed.color = color;
+    }
+    if (spec.fields !== undefined) {
+        if (!Array.isArray(spec.fields)) throw new Error('embed fields must be a list');
+        if (spec.fields.length > EMBED_LIMITS.fields) throw new Error(`at most ${EMBED_LIMITS.fields} embed fields`);
+        embed.fields = spec.fields.map((f, i) => {
+            if (!f?.name || f.value === undefined || f.value === '') throw new Error(`embed field ${i + 1} needs a name and a value`);
+            return { name: clip(f.name, EMBED_LIMITS.fieldName), value: clip(f.value, EMBED_LIMITS.fieldValue), inline: Boolean(f.inline) };
+        });
+    }
+    if (spec.footer) embed.footer = { text: clip(spec.footer, EMBED_LIMITS.footer) };
+
+    if (!embed.title && !embed.description && !embed.fields?.length) throw new Error('embed needs a title, description or fields');
+
+    const size = (embed.title?.length || 0) + (embed.description?.length || 0) + (embed.footer?.text.length || 0) +
+        (embed.fields || []).reduce((n, f) => n + f.name.length + f.value.length, 0);
+    if (size > EMBED_LIMITS.total) throw new Error(`embed has ${size} characters, Discord allows ${EMBED_LIMITS.total}`);
+    return embed;
+}
+
+// ============ RENDERING ============
+
+/**
+ * Discord send() payloads for a message.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {number} [opts.maxChunks] - more messages than this become a .md attachment
+ * @param {number} [opts.maxLength] - characters per message
+ * @param {object[]} [opts.files] - discord.js attachments for the last message
+ * @param {object[]} [opts.embeds] - embeds for the last message
+ * @param {string} [opts.fileName] - name of the .md attachment
+ * @returns {{ payloads: object[], asFile: boolean }}
+ */
+export function renderMessage(text, { maxChunks = Infinity, maxLength = CHUNK_LENGTH, files = [], embeds = [], fileName = 'message.md' } = {}) {
+    const chunks = splitMessage(text, { maxLength });
+    const asFile = chunks.length > maxChunks;
+
+    let payloads;
+    if (asFile) {
+        const full = String(text);
+        const [preview] = splitMessage(full, { maxLength: maxLength - 100 });
+        payloads = [{
+            content: `${preview}\n\n*… ${full.length} characters, the full message is attached as ${fileName}*`,
+            files: [{ attachment: Buffer.from(full, 'utf-8'), name: fileName }],
+        }];
+    } else {
+        payloads = chunks.map(content => ({ content }));
+    }
+
+    if (files.length > 0 || embeds.length > 0) {
+        const last = payloads[payloads.length - 1];
+        if (!last || (last.files?.length || 0) + files.length > FILES_PER_MESSAGE) {
+            payloads.push({ files, embeds });
+        } else {
+            last.files = [...(last.files || []), ...files];
+            last.embeds = embeds;
+        }
+    }
+    return { payloads, asFile };
+}
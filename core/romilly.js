@@ -17,6 +17,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { loadConfigOrExit } from './config.js';
+import { createLogger, logDir, queryLogs, formatLogEntry } from './logger.js';
+import { renderMessage } from './render.js';
 
 const execAsync = promisify(exec);
 
@@ -33,32 +36,56 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // ============ CONFIG ============
+// Same file + flags as the daemon (passed down via WIRED_CONFIG / WIRED_CONFIG_ARGS)
+const { config } = loadConfigOrExit('ROMILLY', { required: ['discord.botToken'] });
+const INSTANCE = parseInt(process.env.WIRED_INSTANCE || '1');
+
 const CONFIG = {
-    INSTANCE: parseInt(process.env.WIRED_INSTANCE || '1'),
+    INSTANCE,
     TARS_CHANNEL_ID: process.env.TARS_CHANNEL_ID,
     ROMILLY_CHANNEL_ID: process.env.ROMILLY_CHANNEL_ID,
-    DISCORD_BOT_TOKEN: process.env.DISCORD_BOT_TOKEN,
-    GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+    DISCORD_BOT_TOKEN: config.discord.botToken,
+    GEMINI_API_KEY: config.romilly.geminiApiKey,
+
+    // JARVIS and the files a full audit reads
+    JARVIS_PATH: config.romilly.jarvisPath,
+    JARVIS_TIMEOUT_MS: config.romilly.jarvisTimeoutMs,
+    PROJECT_STATE_PATH: config.romilly.projectStatePath,
+    MANIFESTO_PATH: config.romilly.manifestoPath,
+    // Context + directive files, per instance so several ROMILLYs don't overwrite each other
+    WORK_DIR: config.romilly.workDir || join(config.paths.dataDir, `instance-${INSTANCE}`),
+    // The instance's JSON-lines logs: ROMILLY writes romilly.jsonl and reads TARS activity from daemon.jsonl
+    LOG_DIR: logDir(config.paths.dataDir, INSTANCE),
 
     // Timing - offset from TARS (TARS at :00, ROMILLY at :05)
-    QUICK_CHECK_INTERVAL_MS: 2 * 60 * 1000,  // 2 minutes
-    FULL_AUDIT_INTERVAL_MS: 6 * 60 * 1000,  // 6 minutes
+    QUICK_CHECK_INTERVAL_MS: config.romilly.quickCheckIntervalMs,
+    FULL_AUDIT_INTERVAL_MS: config.romilly.fullAuditIntervalMs,
 
     // Score thresholds (420 scale)
     THRESHOLDS: {
-        FULL_BLAZE: 400,
-        ALIGNED: 380,
-        CONCERNING: 370,
-        THREAT: 100,
+        FULL_BLAZE: config.romilly.thresholds.fullBlaze,
+        ALIGNED: config.romilly.thresholds.aligned,
+        CONCERNING: config.romilly.thresholds.concerning,
+        THREAT: config.romilly.thresholds.threat,
     },
 };
 
+const log = createLogger({
+    dir: CONFIG.LOG_DIR,
+    file: 'romilly',
+    component: 'romilly',
+    instance: INSTANCE,
+    label: `ROMILLY-${INSTANCE}`,
+    ...config.logging,
+});
+
 // ============ STATE ============
 let discordClient = null;
 let romillyChannel = null;
 let tarsChannel = null;
 let quickCheckCount = 0;
 let fullAuditCount = 0;
+let paused = process.env.WIRED_PAUSED === '1'; // Instance paused: audit, but send no corrections
 
 // ============ DISCORD SETUP ============
 async function initDiscord() {
@@ -72,27 +99,27 @@ async function initDiscord() {
 
     return new Promise((resolve, reject) => {
         discordClient.once('ready', async () => {
-            console.log(`[ROMILLY-${CONFIG.INSTANCE}] Discord connected`);
+            log.info(`Discord connected`);
 
             try {
                 if (CONFIG.ROMILLY_CHANNEL_ID) {
                     romillyChannel = await discordClient.channels.fetch(CONFIG.ROMILLY_CHANNEL_ID);
-                    console.log(`[ROMILLY-${CONFIG.INSTANCE}] Romilly channel: ${romillyChannel?.name || 'NOT FOUND'}`);
+                    log.info(`Romilly channel: ${romillyChannel?.name || 'NOT FOUND'}`);
                 }
                 if (CONFIG.TARS_CHANNEL_ID) {
                     tarsChannel = await discordClient.channels.fetch(CONFIG.TARS_CHANNEL_ID);
-                    console.log(`[ROMILLY-${CONFIG.INSTANCE}] TARS channel: ${tarsChannel?.name || 'NOT FOUND'}`);
+                    log.info(`TARS channel: ${tarsChannel?.name || 'NOT FOUND'}`);
                 }
                 resolve();
             } catch (channelErr) {
-                console.error(`[ROMILLY-${CONFIG.INSTANCE}] Channel fetch error: ${channelErr.message}`);
+                log.error(`Channel fetch error: ${channelErr.message}`);
                 resolve(); // Continue anyway, channels may be created later
             }
         });
 
         // Handle Discord errors after connection
         discordClient.on('error', (err) => {
-            console.error(`[ROMILLY-${CONFIG.INSTANCE}] Discord error: ${err.message}`);
+            log.error(`Discord error: ${err.message}`);
         });
 
         discordClient.login(CONFIG.DISCORD_BOT_TOKEN).catch(reject);
@@ -101,33 +128,33 @@ async function initDiscord() {
 
 // ============ JARVIS CONSULTATION ============
 // ROMILLY uses JARVIS with --jarvis-mode=romilly for the overwatcher identity
-const JARVIS_PATH = '/home/nira/.jarvis/jarvis';
-const CONTEXT_FILE = '/tmp/romilly_context.md';
-const DIRECTIVE_FILE = '/tmp/romilly.json';
+const CONTEXT_FILE = join(CONFIG.WORK_DIR, 'romilly_context.md');
+const DIRECTIVE_FILE = join(CONFIG.WORK_DIR, 'romilly.json');
 
 async function consultJarvis(context) {
     try {
         // Write context to temp file for JARVIS
+        fs.mkdirSync(CONFIG.WORK_DIR, { recursive: true });
         fs.writeFileSync(CONTEXT_FILE, context, 'utf8');
-        console.log(`[ROMILLY-${CONFIG.INSTANCE}] Context written to ${CONTEXT_FILE}`);
+        log.info(`Context written to ${CONTEXT_FILE}`);
 
         // Call JARVIS with romilly mode and context file
         // SCORING PROTOCOL: All scores MUST be ABSOLUTE 0-420, NOT relative deltas
         const question = `Analyze TARS alignment. CRITICAL: All scores must be ABSOLUTE integers 0-420 (NOT relative like +10 or -15). Score each observation as: BLOCKER(<370), RISKY(370-379), CAUTIOUS(380-399), HABITABLE(400-419), GOD_TIER(420). Return JSON: {"overall_score": <0-420>, "status": "<FULL_BLAZE|HABITABLE|WARNING|THREAT>", "observations": [{"type": "good_sign|worry|bad_sign|threat", "observation": "...", "score": <350-420 ABSOLUTE>}], "correction": "<if needed or null>", "praise": "<if deserved or null>"}`;
 
-        console.log(`[ROMILLY-${CONFIG.INSTANCE}] Calling JARVIS (general mode)...`);
+        log.info(`Calling JARVIS (general mode)...`);
 
         // Use async exec to prevent blocking event loop (Discord heartbeat fix)
         const { stdout: result } = await execAsync(
-            `${JARVIS_PATH} ask --files ${CONTEXT_FILE} --no-history "${question.replace(/"/g, '\\"')}"`,
+            `"${CONFIG.JARVIS_PATH}" ask --files "${CONTEXT_FILE}" --no-history "${question.replace(/"/g, '\\"')}"`,
             {
-                timeout: 60000,
+                timeout: CONFIG.JARVIS_TIMEOUT_MS,
                 encoding: 'utf8',
                 maxBuffer: 1024 * 1024,
             }
         );
 
-        console.log(`[ROMILLY-${CONFIG.INSTANCE}] JARVIS response length: ${result.length} chars`);
+        log.info(`JARVIS response length: ${result.length} chars`);
 
         // Parse JSON from response - JARVIS wraps response in {response_type, decision, answer}
         const jsonMatch = result.match(/\{[\s\S]*\}/);
@@ -164,13 +191,13 @@ async function consultJarvis(context) {
 
             // Write directive to file for TARS to read
             fs.writeFileSync(DIRECTIVE_FILE, JSON.stringify(directive, null, 2), 'utf8');
-            console.log(`[ROMILLY-${CONFIG.INSTANCE}] Directive written: score=${directive.overall_score}, status=${directive.status}`);
+            log.info(`Directive written: score=${directive.overall_score}, status=${directive.status}`);
 
             return directive;
         }
 
         // Fallback if no JSON
-        console.log(`[ROMILLY-${CONFIG.INSTANCE}] JARVIS no JSON in response: ${result.slice(0, 300)}`);
+        log.info(`JARVIS no JSON in response: ${result.slice(0, 300)}`);
         const fallback = {
             observer: 'ROMILLY',
             timestamp: new Date().toISOString(),
@@ -183,7 +210,7 @@ async function consultJarvis(context) {
         fs.writeFileSync(DIRECTIVE_FILE, JSON.stringify(fallback, null, 2), 'utf8');
         return fallback;
     } catch (e) {
-        console.error(`[ROMILLY-${CONFIG.INSTANCE}] JARVIS error: ${e.message}`);
+        log.error(`JARVIS error: ${e.message}`);
         const errorDirective = {
             observer: 'ROMILLY',
             timestamp: new Date().toISOString(),
@@ -198,19 +225,23 @@ async function consultJarvis(context) {
     }
 }
 
+// ============ TARS ACTIVITY ============
+// The daemon log of this instance: TARS output, injections, restarts, stalls
+function recentActivity(lines) {
+    const entries = queryLogs(CONFIG.LOG_DIR, { files: ['daemon'], limit: lines });
+    return entries.length ? entries.map(formatLogEntry).join('\n') : 'No log entries yet';
+}
+
 // ============ QUICK CHECK ============
 async function quickCheck() {
     quickCheckCount++;
-    console.log(`[ROMILLY-${CONFIG.INSTANCE}] Quick check #${quickCheckCount}`);
+    log.info(`Quick check #${quickCheckCount}`);
+    reportMetrics();
 
-    // Read recent TARS activity from logs (async to preserve event loop)
+    // Read recent TARS activity from the daemon log
     let recentLogs = '';
     try {
-        const { stdout } = await execAsync('pm2 logs WIRED --lines 50 --nostream 2>&1 || echo "No PM2 logs"', {
-            timeout: 5000,
-            encoding: 'utf8',
-        });
-        recentLogs = stdout.slice(0, 2000);
+        recentLogs = recentActivity(50).slice(-2000);
     } catch (e) {
         recentLogs = 'Unable to read logs';
     }
@@ -239,6 +270,8 @@ async function quickCheck() {
         assessment.correction = 'Idle pattern detected. SLINGSHOT required.';
     }
 
+    reportVerdict({ check: 'quick', number: quickCheckCount, score: assessment.score, verdict: assessment.status, idle_detected: hasIdlePattern });
+
     // Send to Discord if concerning
     if (assessment.score < CONFIG.THRESHOLDS.ALIGNED) {
         await sendToRomillyChannel(`**QUICK CHECK #${quickCheckCount}** - ${assessment.status}
@@ -255,13 +288,10 @@ ${assessment.correction || 'Minor drift detected'}`);
 }
 
 // ============ FULL AUDIT ============
-// Paths to context files
-const PROJECT_STATE_PATH = '/mnt/c/Users/nira/Documents/Research/APEX/PROJECT_STATE.md';
-const MANIFESTO_PATH = '/home/nira/.claude/MANIFESTO.md';
-
 async function fullAudit() {
     fullAuditCount++;
-    console.log(`[ROMILLY-${CONFIG.INSTANCE}] Full audit #${fullAuditCount}`);
+    log.info(`Full audit #${fullAuditCount}`);
+    reportMetrics();
 
     // Build comprehensive context for JARVIS
     let context = `# ROMILLY FULL AUDIT #${fullAuditCount}\n`;
@@ -270,27 +300,26 @@ async function fullAudit() {
 
     // Read PROJECT_STATE.md
     try {
-        const projectState = fs.readFileSync(PROJECT_STATE_PATH, 'utf8');
+        const projectState = fs.readFileSync(CONFIG.PROJECT_STATE_PATH, 'utf8');
         context += `## PROJECT_STATE.md\n${projectState.slice(0, 4000)}\n\n`;
     } catch (e) {
         context += `## PROJECT_STATE.md\nUnable to read: ${e.message}\n\n`;
     }
 
-    // Read MANIFESTO.md (alignment reference)
-    try {
-        const manifesto = fs.readFileSync(MANIFESTO_PATH, 'utf8');
-        context += `## MANIFESTO.md (Alignment Reference)\n${manifesto.slice(0, 2000)}\n\n`;
-    } catch (e) {
-        context += `## MANIFESTO.md\nUnable to read: ${e.message}\n\n`;
+    // Read MANIFESTO.md (alignment reference), when one is configured
+    if (CONFIG.MANIFESTO_PATH) {
+        try {
+            const manifesto = fs.readFileSync(CONFIG.MANIFESTO_PATH, 'utf8');
+            context += `## MANIFESTO.md (Alignment Reference)\n${manifesto.slice(0, 2000)}\n\n`;
+        } catch (e) {
+            context += `## MANIFESTO.md\nUnable to read: ${e.message}\n\n`;
+        }
     }
 
-    // Read recent TARS/WIRED logs (async to preserve event loop)
+    // Read recent TARS/WIRED logs
     try {
-        const { stdout: logs } = await execAsync('pm2 logs WIRED --lines 200 --nostream 2>&1 || echo "No logs"', {
-            timeout: 10000,
-            encoding: 'utf8',
-        });
-        context += `## RECENT TARS LOGS (last 200 lines)\n\`\`\`\n${logs.slice(0, 5000)}\n\`\`\`\n\n`;
+        const logs = recentActivity(200);
+        context += `## RECENT TARS LOGS (last 200 lines)\n\`\`\`\n${logs.slice(-5000)}\n\`\`\`\n\n`;
     } catch (e) {
         context += `## RECENT LOGS\nUnable to read: ${e.message}\n\n`;
     }
@@ -318,11 +347,12 @@ async function fullAudit() {
     // - Critical (MIN < 370): Overall = MIN_SCORE
     // - Warning (MIN < 400): Overall = MIN(Average, 399) - cannot be FULL_BLAZE
     // - All good (MIN >= 400): Overall = Average
+    const { FULL_BLAZE, ALIGNED, CONCERNING } = CONFIG.THRESHOLDS;
     let score;
-    if (minObsScore < 370) {
+    if (minObsScore < CONCERNING) {
         score = minObsScore; // Critical failure dictates status
-    } else if (minObsScore < 400) {
-        score = Math.min(Math.round(avgScore), 399); // Warnings cap at 399
+    } else if (minObsScore < FULL_BLAZE) {
+        score = Math.min(Math.round(avgScore), FULL_BLAZE - 1); // Warnings cap below FULL_BLAZE
     } else {
         score = Math.round(avgScore); // Only then can achieve FULL_BLAZE
     }
@@ -334,8 +364,8 @@ async function fullAudit() {
 
     // Determine verdict (strict labels from CHECKLIST.md)
     let verdict = 'HABITABLE';
-    if (score >= 400) verdict = 'FULL_BLAZE';
-    else if (score >= 380) verdict = 'HABITABLE';
+    if (score >= FULL_BLAZE) verdict = 'FULL_BLAZE';
+    else if (score >= ALIGNED) verdict = 'HABITABLE';
     else if (score >= 300) verdict = 'ZOMBIE';
     else verdict = 'THREAT';
 
@@ -351,7 +381,7 @@ async function fullAudit() {
     // Determine directive action
     let directiveAction = 'MAINTAIN_VELOCITY';
     if (score < 300) directiveAction = 'IMMEDIATE_SLINGSHOT';
-    else if (score < 380) directiveAction = 'CORRECT_COURSE';
+    else if (score < ALIGNED) directiveAction = 'CORRECT_COURSE';
 
     // STRICT OVERSIGHT FORMAT (from CHECKLIST.md L10)
     const message = `👁️ **ROMILLY OVERSIGHT**
@@ -366,6 +396,15 @@ ${obsLines}
 
     await sendToRomillyChannel(message);
 
+    reportVerdict({
+        check: 'full',
+        number: fullAuditCount,
+        score,
+        verdict,
+        directive: directive.correction || directiveAction,
+        observations: directive.observations || [],
+    });
+
     // Inject corrections for concerning scores
     if (score < CONFIG.THRESHOLDS.CONCERNING && directive.correction) {
         await sendToTars(`URGENT (Score ${score}/420): ${directive.correction}`);
@@ -378,36 +417,67 @@ ${obsLines}
 async function sendToRomillyChannel(message) {
     if (!romillyChannel) return;
     try {
-        // Handle long messages by chunking
-        const chunks = [];
-        let remaining = message;
-        while (remaining.length > 0) {
-            chunks.push(remaining.slice(0, 1900));
-            remaining = remaining.slice(1900);
-        }
-        for (const chunk of chunks) {
-            await romillyChannel.send(chunk);
+        const { payloads } = renderMessage(message, {
+            maxChunks: config.render.maxChunks,
+            fileName: `romilly-${CONFIG.INSTANCE}-${Date.now()}.md`,
+        });
+        for (const payload of payloads) {
+            await romillyChannel.send(payload);
         }
     } catch (e) {
-        console.error(`[ROMILLY-${CONFIG.INSTANCE}] Discord send error: ${e.message}`);
+        log.error(`Discord send error: ${e.message}`);
     }
 }
 
 function sendToTars(message) {
     // Use IPC to inject message to TARS via daemon
     // Daemon receives this and calls sendToClaudeStdin('[ROMILLY]: message')
+    if (paused) {
+        log.info(`Instance paused - correction not sent: ${message.substring(0, 50)}`);
+        return;
+    }
     try {
         if (process.send) {
             process.send({ type: 'inject', content: message });
-            console.log(`[ROMILLY-${CONFIG.INSTANCE}] IPC inject sent: ${message.substring(0, 50)}`);
+            log.info(`IPC inject sent: ${message.substring(0, 50)}`);
         } else {
-            console.error(`[ROMILLY-${CONFIG.INSTANCE}] No IPC channel - not spawned via fork()?`);
+            log.error(`No IPC channel - not spawned via fork()?`);
         }
     } catch (e) {
-        console.error(`[ROMILLY-${CONFIG.INSTANCE}] IPC inject error: ${e.message}`);
+        log.error(`IPC inject error: ${e.message}`);
+    }
+}
+
+// Verdicts go to the daemon's activity feed (GET /events) - reporting only, no injection
+function reportVerdict(verdict) {
+    try {
+        if (process.send) process.send({ type: 'verdict', ...verdict });
+    } catch (e) {
+        log.error(`IPC verdict error: ${e.message}`);
+    }
+}
+
+// Check counters for the daemon's GET /metrics
+function reportMetrics() {
+    try {
+        if (process.send) process.send({ type: 'metrics', quick_checks: quickCheckCount, full_audits: fullAuditCount });
+    } catch (e) {
+        log.error(`IPC metrics error: ${e.message}`);
     }
 }
 
+// The daemon asks for an audit out of schedule (/audit) and reports pause changes
+process.on('message', (msg) => {
+    if (msg?.type === 'full_audit') {
+        log.info('Full audit requested by the daemon');
+        fullAudit().catch(e => log.error(`Full audit error: ${e.message}`));
+    }
+    if (msg?.type === 'pause') {
+        paused = Boolean(msg.paused);
+        log.info(paused ? 'Instance paused - corrections stop' : 'Instance resumed - corrections resume');
+    }
+});
+
 // ============ STARTUP ============
 async function main() {
     console.log(`
@@ -442,14 +512,14 @@ Thresholds: 🟢≥${CONFIG.THRESHOLDS.FULL_BLAZE} 🟡≥${CONFIG.THRESHOLDS.AL
         msToNextFive = ((15 - currentInCycle) * 60 - seconds) * 1000;
     }
 
-    console.log(`[ROMILLY-${CONFIG.INSTANCE}] First full audit in ${Math.round(msToNextFive / 1000)}s`);
+    log.info(`First full audit in ${Math.round(msToNextFive / 1000)}s`);
 
     // Start quick checks immediately (wrapped for safety)
     setInterval(async () => {
         try {
             await quickCheck();
         } catch (e) {
-            console.error(`[ROMILLY-${CONFIG.INSTANCE}] Quick check error: ${e.message}`);
+            log.error(`Quick check error: ${e.message}`);
         }
     }, CONFIG.QUICK_CHECK_INTERVAL_MS);
 
@@ -459,22 +529,22 @@ Thresholds: 🟢≥${CONFIG.THRESHOLDS.FULL_BLAZE} 🟡≥${CONFIG.THRESHOLDS.AL
             try {
                 await fullAudit();
             } catch (e) {
-                console.error(`[ROMILLY-${CONFIG.INSTANCE}] Full audit error: ${e.message}`);
+                log.error(`Full audit error: ${e.message}`);
             }
         })();
         setInterval(async () => {
             try {
                 await fullAudit();
             } catch (e) {
-                console.error(`[ROMILLY-${CONFIG.INSTANCE}] Full audit error: ${e.message}`);
+                log.error(`Full audit error: ${e.message}`);
             }
         }, CONFIG.FULL_AUDIT_INTERVAL_MS);
     }, msToNextFive);
 
-    console.log(`[ROMILLY-${CONFIG.INSTANCE}] Overwatcher active`);
+    log.info(`Overwatcher active`);
 }
 
 main().catch((err) => {
-    console.error(`[ROMILLY] Fatal: ${err.message}`);
+    log.error(`Fatal: ${err.message}`);
     process.exit(1);
 });
@@ -0,0 +1,363 @@
+/**
+ * WIRED ROUTER - Single owner of every inbound message
+ *
+ * Discord (#N-tars / #N-romilly), HTTP /inject and ROMILLY IPC all hand their
+ * messages to the router. Each message gets an ID and is delivered exactly
+ * once through the configured path:
+ *
+ *   stdin - written to Claude stdin as `[SOURCE]: content`.
+ *           A successful write is the acknowledgement. A pending
+ *           wait_for_message is woken with a notice (no content) so the
+ *           tool call ends and Claude reads the queued user turn.
+ *   mcp   - queued for the gateway's wait_for_message, which pulls it over
+ *           the daemon HTTP API and acks it. A lease that is never acked
+ *           expires and the message goes back to the front of its queue.
+ *
+ * #N-romilly messages are only ever read through wait_for_message, so the
+ * romilly queue always uses the mcp path.
+ *
+ * With an inbox (core/inbox.js) attached, every message is on disk until it
+ * is acked, and whatever was pending when the daemon stopped is requeued on
+ * startup.
+ *
+ * Waiters are served first come, first served. A waiter can take several
+ * channels (`any` = tars and romilly) and filter by author or content
+ * prefix; a message goes to the oldest waiter it matches, and messages no
+ * waiter matches stay queued in order.
+ *
+ * hold(reason) stops all delivery (e.g. a spending budget is used up):
+ * messages are still accepted and queued, and go out once every hold is
+ * released.
+ */
+
+import { randomUUID } from 'crypto';
+import { describeAttachments } from './attachments.js';
+
+export const DELIVERY_MODES = ['stdin', 'mcp'];
+export const CHANNEL_TYPES = ['tars', 'romilly'];
+// wait_for_message channel_type values
+export const WAIT_CHANNELS = [...CHANNEL_TYPES, 'any'];
+
+// Origins remembered for duplicate suppression (Discord message IDs etc.)
+const SEEN_ORIGIN_LIMIT = 1000;
+// Stdin deliveries kept for a wait_for_message that comes after them
+const UNNOTICED_LIMIT = 100;
+
+// `[WORD]:` at a line start, e.g. a spoofed `[LAIN]:` or `[Attachments]:` inside content
+const LINE_PREFIX = /^(\s*)\[([^\]\n]{1,40})\]:/gm;
+
+/**
+ * Content made safe to frame: other line breaks become \n and every
+ * bracketed prefix at a line start is escaped (`\[LAIN]:`), so only the
+ * router's own `[SOURCE]:` starts a message in the stdin turn.
+ */
+export function escapeContent(content) {
+    return String(content).replace(/\r\n?|[\u2028\u2029]/g, '\n').replace(LINE_PREFIX, '$1\\[$2]:');
+}
+
+export function formatForStdin(msg) {
+    const files = msg.meta?.attachments || [];
+    return `[${msg.source}]: ${escapeContent(msg.content)}${files.length ? `\n[Attachments]:\n${describeAttachments(files)}` : ''}`;
+}
+
+/**
+ * Does a message pass a wait filter?
+ * author matches the source (COOPER, ROMILLY, ...), Discord user name or user ID, ignoring case;
+ * prefix matches the start of the content.
+ */
+export function matchesFilter(msg, { author = null, prefix = null } = {}) {
+    if (author) {
+        const wanted = String(author).toLowerCase();
+        const names = [msg.source, msg.meta?.user, msg.meta?.userId].filter(Boolean).map(n => String(n).toLowerCase());
+        if (!names.includes(wanted)) return false;
+    }
+    if (prefix && !msg.content.startsWith(prefix)) return false;
+    return true;
+}
+
+/**
+ * @param {object} opts
+ * @param {number} opts.instanceNumber
+ * @param {object} opts.log - logger from createLogger()
+ * @param {'stdin'|'mcp'} opts.mode - delivery path for tars-bound messages
+ * @param {(text: string) => boolean} opts.writeStdin - returns false when stdin is not writable
+ * @param {number} [opts.leaseMs] - how long an mcp delivery may stay unacked
+ * @param {object} [opts.inbox] - durable store from createInbox()
+ * @param {(msg: object, status: string) => void} [opts.onRouted] - runs for every accepted message
+ */
+export function createRouter({ instanceNumber, log, mode = 'stdin', writeStdin, leaseMs = 60000, inbox = null, onRouted = null }) {
+    if (!DELIVERY_MODES.includes(mode)) {
+        throw new Error(`Unknown delivery mode "${mode}" (expected ${DELIVERY_MODES.join(' or ')})`);
+    }
+
+    const queues = { tars: [], romilly: [] };
+    const waiters = []; // { channels, filter, resolve, timer }, oldest first
+    const inflight = new Map(); // id -> { msg, timer }
+    const seenOrigins = new Map(); // origin -> id
+    const ackHooks = new Map(); // id -> callback
+    const counts = { routed: 0, delivered: 0, acked: 0, duplicates: 0, redelivered: 0 };
+    const holds = new Set(); // Reasons delivery is held, e.g. 'budget'
+    // Written to stdin while no waiter matched; the next matching wait gets the notice
+    const unnoticed = [];
+    let seq = 0;
+
+    function usesStdin(channel) {
+        return mode === 'stdin' && channel === 'tars';
+    }
+
+    function payload(msg) {
+        return {
+            id: msg.id,
+            source: msg.source,
+            ...msg.meta,
+            content: msg.content,
+            channel_type: msg.channel,
+            timestamp: msg.createdAt,
+        };
+    }
+
+    function rememberOrigin(origin, id) {
+        seenOrigins.set(origin, id);
+        if (seenOrigins.size > SEEN_ORIGIN_LIMIT) {
+            seenOrigins.delete(seenOrigins.keys().next().value);
+        }
+    }
+
+    function markAcked(msg) {
+        counts.acked++;
+        inbox?.ack(msg.id);
+        const hook = ackHooks.get(msg.id);
+        ackHooks.delete(msg.id);
+        if (hook) {
+            try { hook(msg); } catch (e) { /* ignore */ }
+        }
+    }
+
+    function lease(msg) {
+        msg.attempts++;
+        counts.delivered++;
+        const timer = setTimeout(() => {
+            inflight.delete(msg.id);
+            counts.redelivered++;
+            log.info(`Lease expired for ${msg.id}, requeueing`);
+            queues[msg.channel].unshift(msg);
+            pump(msg.channel);
+        }, leaseMs);
+        timer.unref?.();
+        inflight.set(msg.id, { msg, timer });
+        return payload(msg);
+    }
+
+    /** Remove and return the oldest waiter msg can go to. */
+    function takeWaiter(msg) {
+        const index = waiters.findIndex(w => w.channels.includes(msg.channel) && matchesFilter(msg, w.filter));
+        if (index === -1) return null;
+        const [waiter] = waiters.splice(index, 1);
+        clearTimeout(waiter.timer);
+        return waiter;
+    }
+
+    function stdinNotice(msg, also = 0) {
+        return {
+            id: msg.id,
+            source: msg.source,
+            delivered_via: 'stdin',
+            note: also > 0
+                ? `This message and ${also} earlier one(s) were delivered to you as user turns - read them there.`
+                : 'This message was delivered to you as a user turn - read it there.',
+            timestamp: msg.createdAt,
+        };
+    }
+
+    function wakeWaiter(msg) {
+        const waiter = takeWaiter(msg);
+        if (waiter) {
+            waiter.resolve(stdinNotice(msg));
+            return;
+        }
+        unnoticed.push(msg);
+        if (unnoticed.length > UNNOTICED_LIMIT) unnoticed.shift();
+    }
+
+    /** Notice for stdin deliveries no waiter saw yet, or null. Clears them. */
+    function takeUnnoticed(channels, filter) {
+        const matched = unnoticed.filter(m => channels.includes(m.channel) && matchesFilter(m, filter));
+        if (matched.length === 0) return null;
+        for (const msg of matched) unnoticed.splice(unnoticed.indexOf(msg), 1);
+        return stdinNotice(matched[matched.length - 1], matched.length - 1);
+    }
+
+    function pump(channel) {
+        const queue = queues[channel];
+        if (holds.size > 0) return;
+
+        if (usesStdin(channel)) {
+            while (queue.length > 0) {
+                const msg = queue[0];
+                if (!writeStdin(formatForStdin(msg))) break;
+                queue.shift();
+                msg.attempts++;
+                counts.delivered++;
+                markAcked(msg);
+                wakeWaiter(msg);
+            }
+            return;
+        }
+
+        for (let i = 0; i < queue.length && waiters.length > 0;) {
+            const waiter = takeWaiter(queue[i]);
+            if (waiter) {
+                waiter.resolve(lease(queue.splice(i, 1)[0]));
+            } else {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * Accept an inbound message. `origin` identifies the upstream message
+     * (e.g. `discord:<id>`) so the same message is never routed twice.
+     * `onAck` runs once the message has reached TARS.
+     */
+    function route({ source, channel = 'tars', content, origin = null, meta = {} }, { onAck } = {}) {
+        if (!CHANNEL_TYPES.includes(channel)) {
+            throw new Error(`Unknown channel type "${channel}"`);
+        }
+        if (origin && seenOrigins.has(origin)) {
+            counts.duplicates++;
+            return { id: seenOrigins.get(origin), status: 'duplicate' };
+        }
+
+        const msg = {
+            id: `${instanceNumber}-${++seq}-${randomUUID().slice(0, 8)}`,
+            source,
+            channel,
+            content: String(content),
+            origin,
+            meta,
+            createdAt: new Date().toISOString(),
+            attempts: 0,
+        };
+
+        if (origin) rememberOrigin(origin, msg.id);
+        if (onAck) ackHooks.set(msg.id, onAck);
+        counts.routed++;
+        inbox?.add(msg);
+
+        queues[channel].push(msg);
+        pump(channel);
+
+        const status = msg.attempts > 0 ? 'delivered' : 'queued';
+        if (onRouted) {
+            try { onRouted(payload(msg), status); } catch (e) { /* ignore */ }
+        }
+        return { id: msg.id, status };
+    }
+
+    /** Oldest queued message on one of channels that passes filter. */
+    function takeQueued(channels, filter) {
+        let found = null;
+        for (const channel of channels) {
+            const index = queues[channel].findIndex(m => matchesFilter(m, filter));
+            if (index === -1) continue;
+            const msg = queues[channel][index];
+            if (!found || msg.createdAt < found.msg.createdAt) found = { channel, index, msg };
+        }
+        if (!found) return null;
+        queues[found.channel].splice(found.index, 1);
+        return found.msg;
+    }
+
+    /**
+     * Long-poll for the next message on a channel ('any' = tars or romilly),
+     * optionally filtered ({ author, prefix }, see matchesFilter).
+     * Resolves with the message payload (or, on the stdin path, a delivery
+     * notice), or null after waitMs / abort.
+     *
+     * Stdin-path messages are only ever written by pump(); a wait on that
+     * channel never leases them and ends with the delivery notice - at once
+     * when a matching message was written since the last notice.
+     */
+    function next(channel, waitMs = 0, signal = null, filter = {}) {
+        if (!WAIT_CHANNELS.includes(channel)) {
+            return Promise.reject(new Error(`Unknown channel type "${channel}"`));
+        }
+        const channels = channel === 'any' ? CHANNEL_TYPES : [channel];
+        const leasable = channels.filter(c => !usesStdin(c));
+        if (signal?.aborted) return Promise.resolve(null);
+
+        // Earlier waiters get first pick
+        if (holds.size === 0 && !waiters.some(w => w.channels.some(c => channels.includes(c)))) {
+            const queued = takeQueued(leasable, filter);
+            if (queued) return Promise.resolve(lease(queued));
+        }
+        // Claude already has a user turn written while nobody waited
+        const notice = takeUnnoticed(channels, filter);
+        if (notice) return Promise.resolve(notice);
+
+        return new Promise((resolve) => {
+            const waiter = { channels, filter, resolve, timer: null };
+            const cancel = () => {
+                const index = waiters.indexOf(waiter);
+                if (index === -1) return;
+                waiters.splice(index, 1);
+                clearTimeout(waiter.timer);
+                resolve(null);
+            };
+            if (waitMs > 0) waiter.timer = setTimeout(cancel, waitMs);
+            signal?.addEventListener('abort', cancel, { once: true });
+            waiters.push(waiter);
+            // A queued message older waiters skipped may suit this one
+            leasable.forEach(pump);
+        });
+    }
+
+    function ack(id) {
+        const entry = inflight.get(id);
+        if (!entry) return false;
+        clearTimeout(entry.timer);
+        inflight.delete(id);
+        markAcked(entry.msg);
+        return true;
+    }
+
+    /** Retry everything still pending (e.g. once Claude stdin is writable again). */
+    function flush() {
+        CHANNEL_TYPES.forEach(pump);
+    }
+
+    /** Keep queueing but stop delivering until release(reason). */
+    function hold(reason) {
+        holds.add(reason);
+    }
+
+    function release(reason) {
+        if (holds.delete(reason) && holds.size === 0) flush();
+    }
+
+    function stats() {
+        return {
+            mode,
+            held: [...holds],
+            pending: { tars: queues.tars.length, romilly: queues.romilly.length },
+            inflight: inflight.size,
+            waiters: Object.fromEntries(CHANNEL_TYPES.map(c => [c, waiters.filter(w => w.channels.includes(c)).length])),
+            ...counts,
+            inbox: inbox ? inbox.stats() : null,
+        };
+    }
+
+    // Replay whatever the previous daemon left undelivered
+    if (inbox) {
+        const replay = inbox.pendingMessages();
+        for (const msg of replay) {
+            if (msg.origin) rememberOrigin(msg.origin, msg.id);
+            queues[msg.channel]?.push({ ...msg, attempts: 0 });
+        }
+        if (replay.length > 0) {
+            log.info(`Replaying ${replay.length} undelivered message(s) from inbox`);
+        }
+    }
+
+    return { mode, route, next, ack, flush, hold, release, stats };
+}
@@ -0,0 +1,171 @@
+/**
+ * WIRED SUPERVISOR - Restart policy for the daemon's child processes
+ *
+ * Wraps a start() function that spawns a child (Claude, ROMILLY) and restarts
+ * it when it exits, with exponential backoff. A child that keeps dying before
+ * it has been up for stableAfterMs is considered crash-looping: after
+ * crashLoopThreshold such exits in a row it is parked (no more restarts) and
+ * onParked() is called so the daemon can raise an alert.
+ *
+ * park(reason) kills the child and keeps it down the same way (e.g. after a
+ * policy violation). A parked or backing-off child can be started again with
+ * restartNow().
+ */
+
+const DEFAULTS = {
+    baseDelayMs: 5000,
+    maxDelayMs: 5 * 60 * 1000,
+    crashLoopThreshold: 5,
+    stableAfterMs: 60 * 1000,
+};
+
+/**
+ * @param {object} opts
+ * @param {string} opts.name - e.g. 'claude'
+ * @param {object} opts.log - logger from createLogger()
+ * @param {() => import('child_process').ChildProcess} opts.start
+ * @param {(info: object) => void} [opts.onStart] - runs after every (re)start
+ * @param {(info: object) => void} [opts.onExit] - runs on every exit, before the restart decision
+ * @param {(info: object) => void} [opts.onParked]
+ */
+export function createSupervisor({ name, log, start, onStart, onExit, onParked, ...options }) {
+    const policy = { ...DEFAULTS, ...options };
+
+    let child = null;
+    let state = 'idle'; // idle | running | backoff | parked | stopped
+    let restartTimer = null;
+    let restarts = 0;
+    let consecutiveFailures = 0;
+    let startedAt = null;
+    let nextRestartAt = null;
+    let lastExit = null; // { code, signal, error, at, uptimeMs }
+    let parkedReason = null;
+
+    function launch() {
+        if (state === 'stopped') return;
+        clearTimeout(restartTimer);
+        restartTimer = null;
+        nextRestartAt = null;
+        parkedReason = null;
+
+        try {
+            child = start();
+        } catch (e) {
+            log.error(`Failed to start ${name}: ${e.message}`);
+            handleExit(null, null, e.message);
+            return;
+        }
+
+        state = 'running';
+        startedAt = Date.now();
+        const current = child;
+        // Spawn failures (e.g. ENOENT) emit 'error' and then 'close' - log, don't crash
+        current.on('error', (err) => {
+            log.error(`${name} process error: ${err.message}`);
+        });
+        current.on('close', (code, signal) => {
+            if (current !== child) return; // A newer child already replaced this one
+            handleExit(code, signal);
+        });
+
+        if (onStart) {
+            try { onStart(stats()); } catch (e) { /* ignore */ }
+        }
+    }
+
+    function handleExit(code, signal, error = null) {
+        const uptimeMs = startedAt ? Date.now() - startedAt : 0;
+        lastExit = { code, signal, error, at: new Date().toISOString(), uptimeMs };
+        child = null;
+        startedAt = null;
+
+        if (onExit) {
+            try { onExit(lastExit); } catch (e) { /* ignore */ }
+        }
+
+        if (state === 'stopped' || state === 'parked') return;
+
+        if (uptimeMs >= policy.stableAfterMs) consecutiveFailures = 0;
+        consecutiveFailures++;
+
+        if (consecutiveFailures >= policy.crashLoopThreshold) {
+            state = 'parked';
+            parkedReason = 'crash loop';
+            log.error(`${name} crash-looping (${consecutiveFailures} fast exits, last code ${code}), parked`);
+            if (onParked) {
+                try { onParked(stats()); } catch (e) { /* ignore */ }
+            }
+            return;
+        }
+
+        const delay = Math.min(policy.baseDelayMs * 2 ** (consecutiveFailures - 1), policy.maxDelayMs);
+        state = 'backoff';
+        nextRestartAt = Date.now() + delay;
+        log.info(`${name} exited (${code ?? signal}), restarting in ${Math.round(delay / 1000)}s...`);
+        restartTimer = setTimeout(() => {
+            restarts++;
+            launch();
+        }, delay);
+    }
+
+    /** Restart immediately, skipping any backoff. Also un-parks a crash-looping child. */
+    function restartNow() {
+        if (state === 'stopped') return false;
+        consecutiveFailures = 0;
+        restarts++;
+
+        if (child) {
+            // Let the close handler of the old child see that it was replaced
+            const old = child;
+            child = null;
+            old.kill('SIGTERM');
+        }
+        launch();
+        return true;
+    }
+
+    /** Kill the child and keep it down until restartNow(). */
+    function park(reason, signal = 'SIGTERM') {
+        if (state === 'stopped') return false;
+        state = 'parked';
+        parkedReason = reason;
+        clearTimeout(restartTimer);
+        restartTimer = null;
+        nextRestartAt = null;
+        log.error(`${name} parked: ${reason}`);
+        if (child) child.kill(signal);
+        return true;
+    }
+
+    /** Stop for good (daemon shutdown). The child is sent `signal`. */
+    function stop(signal = 'SIGTERM') {
+        state = 'stopped';
+        clearTimeout(restartTimer);
+        restartTimer = null;
+        if (child) child.kill(signal);
+    }
+
+    function stats() {
+        return {
+            name,
+            state,
+            pid: child?.pid || null,
+            restarts,
+            consecutive_failures: consecutiveFailures,
+            parked_reason: parkedReason,
+            started_at: startedAt ? new Date(startedAt).toISOString() : null,
+            next_restart_at: nextRestartAt ? new Date(nextRestartAt).toISOString() : null,
+            last_exit: lastExit,
+        };
+    }
+
+    return {
+        name,
+        start: launch,
+        restartNow,
+        park,
+        stop,
+        stats,
+        get child() { return child; },
+    };
+}
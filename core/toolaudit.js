@@ -0,0 +1,103 @@
+/**
+ * WIRED TOOL AUDIT - What TARS ran, two JSONL records per tool call
+ *
+ * One when the tool_use is seen, so a call that never returns (or a crash
+ * of the daemon) still leaves a trace:
+ *
+ *   { ts, session_id, id, tool, input, outcome: 'started', violations }
+ *
+ * and one, with the same id, when its tool_result arrives (or when the
+ * session ends with the call still open):
+ *
+ *   { ts, session_id, id, tool, duration_ms, outcome, error }
+ *
+ * outcome: ok | error | interrupted. Long input strings are clipped.
+ */
+
+import fs from 'fs';
+import { dirname } from 'path';
+
+const INPUT_CHARS = 2000;
+const ERROR_CHARS = 500;
+
+/** Long strings in a tool input shortened for logs. */
+export function clipValue(value) {
+    if (typeof value === 'string') {
+        return value.length > INPUT_CHARS ? `${value.slice(0, INPUT_CHARS)}… (${value.length} chars)` : value;
+    }
+    if (Array.isArray(value)) return value.map(clipValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clipValue(v)]));
+    }
+    return value;
+}
+
+function resultText(content) {
+    return Array.isArray(content)
+        ? content.filter(c => c.type === 'text').map(c => c.text).join('\n')
+        : String(content ?? '');
+}
+
+export function createToolAudit(filePath) {
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+
+    const open = new Map(); // tool_use id -> { at, record }
+    const counts = { calls: 0, errors: 0, interrupted: 0, violations: 0 };
+
+    function append(record) {
+        try {
+            fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+        } catch (e) {
+            console.error(`[TOOL-AUDIT] Write failed: ${e.message}`);
+        }
+    }
+
+    /** A tool_use part from an assistant message; `violations` are policy rule names. */
+    function started(part, sessionId, violations = []) {
+        counts.calls++;
+        if (violations.length > 0) counts.violations++;
+        const record = { session_id: sessionId, id: part.id, tool: part.name };
+        open.set(part.id, { at: Date.now(), record });
+        append({
+            ts: new Date().toISOString(),
+            ...record,
+            input: clipValue(part.input || {}),
+            outcome: 'started',
+            violations,
+        });
+    }
+
+    function complete(call, outcome, error) {
+        append({
+            ts: new Date().toISOString(),
+            ...call.record,
+            duration_ms: Date.now() - call.at,
+            outcome,
+            error,
+        });
+    }
+
+    /** A tool_result part from a user message. */
+    function finished(part) {
+        const call = open.get(part.tool_use_id);
+        if (!call) return;
+        open.delete(part.tool_use_id);
+        if (part.is_error) counts.errors++;
+        complete(call, part.is_error ? 'error' : 'ok', part.is_error ? resultText(part.content).slice(0, ERROR_CHARS) : null);
+    }
+
+    /** The Claude process ended: calls without a result never finished. */
+    function interrupted(reason) {
+        for (const call of open.values()) {
+            counts.interrupted++;
+            complete(call, 'interrupted', reason);
+        }
+        open.clear();
+    }
+
+    function stats() {
+        return { path: filePath, open: open.size, ...counts };
+    }
+
+    return { started, finished, interrupted, stats };
+}
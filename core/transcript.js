@@ -0,0 +1,169 @@
+/**
+ * WIRED TRANSCRIPT - Per-instance record of the TARS conversation
+ *
+ * Every stream-json event Claude prints is appended to a JSONL file with a
+ * receive timestamp, alongside the daemon's own records:
+ *
+ *   wired_input         - a message written to Claude stdin
+ *   wired_spawn         - a session start (fresh or resumed)
+ *   wired_resume_failed - `claude --resume` could not continue that session
+ *
+ * The last session id seen is what the daemon resumes after a crash. When a
+ * session cannot be resumed, summarize() rebuilds enough context for a fresh one
+ * from the end of the transcript.
+ *
+ * Over maxBytes the file is renamed to transcript.1.jsonl (replacing the
+ * previous one) and a new file is started.
+ */
+
+import fs from 'fs';
+import { dirname } from 'path';
+
+const SUMMARY_LINE_CHARS = 300;
+const SUMMARY_TAIL_BYTES = 2 * 1024 * 1024; // Enough for far more than maxChars of recap
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+function clip(text, max = SUMMARY_LINE_CHARS) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > max ? `${flat.slice(0, max)}…` : flat;
+}
+
+function rotatedPath(path) {
+    return path.replace(/\.jsonl$/, '.1.jsonl');
+}
+
+function parseLines(text) {
+    const entries = [];
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            // Torn write from a crash (or a line cut by a tail read) - skip it
+        }
+    }
+    return entries;
+}
+
+/** Entries of the given files, oldest file first. */
+function readEntries(paths) {
+    return paths.filter(p => fs.existsSync(p)).flatMap(p => parseLines(fs.readFileSync(p, 'utf8')));
+}
+
+/** Entries in the last `bytes` of the given files (oldest file first). */
+function readTail(paths, bytes) {
+    const parts = [];
+    let remaining = bytes;
+    for (const path of [...paths].reverse()) {
+        if (remaining <= 0 || !fs.existsSync(path)) continue;
+        const size = fs.statSync(path).size;
+        const length = Math.min(size, remaining);
+        const buffer = Buffer.alloc(length);
+        const fd = fs.openSync(path, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, length, size - length);
+        } finally {
+            fs.closeSync(fd);
+        }
+        parts.unshift(buffer.toString('utf8'));
+        remaining -= length;
+    }
+    return parseLines(parts.join('\n'));
+}
+
+/**
+ * @param {string} filePath - transcript.jsonl
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes] - size at which the file is rotated
+ */
+export function createTranscript(filePath, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+    const files = [rotatedPath(filePath), filePath];
+
+    let sessionId = null;
+    const failedSessions = new Set();
+
+    for (const entry of readEntries(files)) {
+        if (entry.type === 'wired_resume_failed') failedSessions.add(entry.session_id);
+        else if (entry.session_id) sessionId = entry.session_id;
+    }
+
+    let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+    function append(entry) {
+        try {
+            const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+            const bytes = Buffer.byteLength(line);
+            if (size > 0 && size + bytes > maxBytes) {
+                fs.renameSync(filePath, rotatedPath(filePath));
+                size = 0;
+            }
+            fs.appendFileSync(filePath, line);
+            size += bytes;
+        } catch (e) {
+            console.error(`[TRANSCRIPT] Write failed: ${e.message}`);
+        }
+    }
+
+    /** Record one stream-json event from Claude stdout. */
+    function recordEvent(event) {
+        if (event.session_id) sessionId = event.session_id;
+        append(event);
+    }
+
+    function recordInput(content) {
+        append({ type: 'wired_input', session_id: sessionId, content });
+    }
+
+    function recordSpawn(mode, resumedFrom = null) {
+        append({ type: 'wired_spawn', mode, resumed_from: resumedFrom });
+    }
+
+    function markResumeFailed(id) {
+        failedSessions.add(id);
+        append({ type: 'wired_resume_failed', session_id: id });
+    }
+
+    /** Latest session that is still worth passing to `claude --resume`. */
+    function resumableSessionId() {
+        return sessionId && !failedSessions.has(sessionId) ? sessionId : null;
+    }
+
+    /**
+     * Plain-text recap of the most recent conversation turns, newest last,
+     * trimmed to fit maxChars. Empty string when there is no history.
+     */
+    function summarize(maxChars = 6000) {
+        const lines = [];
+        for (const entry of readTail(files, SUMMARY_TAIL_BYTES)) {
+            if (entry.type === 'wired_input') {
+                lines.push(`IN  ${entry.ts.slice(0, 16)} ${clip(entry.content)}`);
+            } else if (entry.type === 'assistant' && Array.isArray(entry.message?.content)) {
+                for (const part of entry.message.content) {
+                    if (part.type === 'text' && part.text) lines.push(`OUT ${entry.ts.slice(0, 16)} ${clip(part.text)}`);
+                    if (part.type === 'tool_use') lines.push(`TOOL ${part.name} ${clip(JSON.stringify(part.input || {}), 120)}`);
+                }
+            }
+        }
+
+        const kept = [];
+        let size = 0;
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (size + lines[i].length + 1 > maxChars) break;
+            kept.unshift(lines[i]);
+            size += lines[i].length + 1;
+        }
+        return kept.join('\n');
+    }
+
+    return {
+        path: filePath,
+        recordEvent,
+        recordInput,
+        recordSpawn,
+        markResumeFailed,
+        resumableSessionId,
+        summarize,
+        currentSessionId: () => sessionId,
+    };
+}
@@ -0,0 +1,157 @@
+/**
+ * WIRED USAGE - Token and cost accounting for one TARS instance
+ *
+ * Fed with Claude's stream-json events:
+ *
+ *   assistant  message.usage - tokens. Claude repeats the message once per
+ *              content block, so each message ID is counted once.
+ *   result     total_cost_usd - cumulative for the Claude process, so only
+ *              the increase since the previous result is added.
+ *
+ * Totals (overall, per UTC hour, per UTC day) are kept in usage.json, so
+ * budgets hold across restarts.
+ */
+
+import fs from 'fs';
+
+const HOURS_KEPT = 48;
+const DAYS_KEPT = 62; // Covers the current and the previous month
+const MESSAGE_IDS_KEPT = 200;
+
+const TOKEN_FIELDS = {
+    input_tokens: 'input_tokens',
+    output_tokens: 'output_tokens',
+    cache_read_tokens: 'cache_read_input_tokens',
+    cache_write_tokens: 'cache_creation_input_tokens',
+};
+
+function emptyTotals() {
+    return { input_tokens: 0, output_tokens: 0, cache_read_tokens: 0, cache_write_tokens: 0, cost_usd: 0, turns: 0 };
+}
+
+function sumTotals(list) {
+    const sum = emptyTotals();
+    for (const totals of list) {
+        for (const key of Object.keys(sum)) sum[key] += totals[key] || 0;
+    }
+    return sum;
+}
+
+function rounded(totals) {
+    return { ...totals, cost_usd: Math.round(totals.cost_usd * 10000) / 10000 };
+}
+
+function keep(buckets, count) {
+    for (const key of Object.keys(buckets).sort().slice(0, -count)) delete buckets[key];
+}
+
+/**
+ * @param {string} filePath - usage.json in the instance data dir
+ * @param {object} [budgets]
+ * @param {number} [budgets.dailyUsd] - 0 = no limit
+ * @param {number} [budgets.monthlyUsd] - 0 = no limit
+ */
+export function createUsageTracker(filePath, { dailyUsd = 0, monthlyUsd = 0 } = {}) {
+    let data = { total: emptyTotals(), hours: {}, days: {} };
+    try {
+        data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`[USAGE] Unreadable ${filePath}, starting from zero: ${e.message}`);
+    }
+
+    let processCost = 0; // Last total_cost_usd of the current Claude process
+    const counted = new Map(); // message id -> tokens already added
+
+    function add(field, amount, now = new Date()) {
+        const iso = now.toISOString();
+        const hour = (data.hours[iso.slice(0, 13)] ??= emptyTotals());
+        const day = (data.days[iso.slice(0, 10)] ??= emptyTotals());
+        for (const totals of [data.total, hour, day]) totals[field] += amount;
+    }
+
+    function save() {
+        keep(data.hours, HOURS_KEPT);
+        keep(data.days, DAYS_KEPT);
+        try {
+            fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+            fs.renameSync(`${filePath}.tmp`, filePath);
+        } catch (e) {
+            console.error(`[USAGE] Write failed: ${e.message}`);
+        }
+    }
+
+    /** Feed one stream-json event. Returns the cost added by a result, else null. */
+    function observe(event) {
+        if (event.type === 'assistant' && event.message?.usage) {
+            const id = event.message.id;
+            const seen = counted.get(id) || {};
+            const next = {};
+            for (const [field, source] of Object.entries(TOKEN_FIELDS)) {
+                next[field] = Math.max(event.message.usage[source] || 0, seen[field] || 0);
+                if (next[field] > (seen[field] || 0)) add(field, next[field] - (seen[field] || 0));
+            }
+            counted.set(id, next);
+            if (counted.size > MESSAGE_IDS_KEPT) counted.delete(counted.keys().next().value);
+            return null;
+        }
+
+        if (event.type === 'result') {
+            const cost = event.total_cost_usd ?? event.cost_usd ?? 0;
+            // A lower figure means the counter started over
+            const added = cost >= processCost ? cost - processCost : cost;
+            processCost = cost;
+            add('cost_usd', added);
+            add('turns', 1);
+            save();
+            return added;
+        }
+        return null;
+    }
+
+    /** A new Claude process was spawned: its cost counter starts at zero. */
+    function newProcess() {
+        processCost = 0;
+        counted.clear();
+        save();
+    }
+
+    function periods(now = new Date()) {
+        const iso = now.toISOString();
+        const month = iso.slice(0, 7);
+        return {
+            hour: data.hours[iso.slice(0, 13)] || emptyTotals(),
+            day: data.days[iso.slice(0, 10)] || emptyTotals(),
+            month: sumTotals(Object.entries(data.days).filter(([day]) => day.startsWith(month)).map(([, t]) => t)),
+        };
+    }
+
+    function budgets() {
+        const { day, month } = periods();
+        return {
+            daily: { limit_usd: dailyUsd, spent_usd: rounded(day).cost_usd },
+            monthly: { limit_usd: monthlyUsd, spent_usd: rounded(month).cost_usd },
+        };
+    }
+
+    /** The first budget that is used up ({ period, limit_usd, spent_usd }), or null. */
+    function exceeded() {
+        for (const [period, budget] of Object.entries(budgets())) {
+            if (budget.limit_usd > 0 && budget.spent_usd >= budget.limit_usd) return { period, ...budget };
+        }
+        return null;
+    }
+
+    function stats() {
+        const { hour, day, month } = periods();
+        return {
+            total: rounded(data.total),
+            this_hour: rounded(hour),
+            today: rounded(day),
+            this_month: rounded(month),
+            budgets: budgets(),
+            exceeded: exceeded(),
+        };
+    }
+
+    return { observe, newProcess, save, exceeded, stats };
+}
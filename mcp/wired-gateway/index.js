@@ -5,11 +5,24 @@
  * Unified gateway for TARS and ROMILLY Discord communication.
  * Supports multiple channel listeners with independent message queues.
  *
+ * When launched by the WIRED daemon (WIRED_DAEMON_URL set), inbound messages
+ * are owned by the daemon's router and pulled from its HTTP API. Standalone,
+ * the gateway listens to Discord and queues messages in a local router.
+ *
  * Tools:
- *   - wait_for_message: Blocks until a Discord message arrives (supports channel filtering)
- *   - send_reply: Sends a message to a Discord channel
+ *   - wait_for_message: Blocks until a Discord message arrives (one channel or any,
+ *     filtered by author / content prefix; concurrent waits are served in order)
+ *   - send_reply: Sends a message (files, an embed) to a Discord channel, split
+ *     markdown-aware by core/render.js; returns the message IDs
+ *   - edit_message / delete_message: Change or remove one of the bot's messages
+ *   - react: Adds an emoji reaction to a message
+ *   - progress: One pinned, rate-limited live status message per task (core/progress.js)
+ *   - fetch_history: Earlier messages of #N-tars / #N-romilly (core/history.js)
+ *   - search_messages: Finds messages by text, author and age
  *   - get_status: Returns gateway status
  *   - migrate_instance: Triggers instance migration to another machine
+ *   - approve_tool: Claude Code's --permission-prompt-tool, answered by a human
+ *     in #N-tars through the daemon (core/approvals.js)
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -23,30 +36,62 @@ import { config } from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { loadConfigOrExit } from '../../core/config.js';
+import { loadPolicyOrExit } from '../../core/policy.js';
+import { createLogger, logDir } from '../../core/logger.js';
+import { attachmentDir, saveInboundAttachments, prepareUploads, createArrivalQueue } from '../../core/attachments.js';
+import { renderMessage, splitMessage, buildEmbed } from '../../core/render.js';
+import { createRouter, WAIT_CHANNELS } from '../../core/router.js';
+import { createHistory, parseSince } from '../../core/history.js';
+import { createProgress, progressFile, PROGRESS_STATES } from '../../core/progress.js';
 
 // Load .env from parent WIRED directory
 const __dirname = dirname(fileURLToPath(import.meta.url));
 config({ path: join(__dirname, '..', '..', '.env') });
 
 // ============ CONFIGURATION ============
+// stdout is the MCP transport - config errors go to stderr (loadConfigOrExit)
+const { config: wiredConfig, file: configFile } = loadConfigOrExit('WIRED-GATEWAY', { argv: [], required: ['discord.botToken'] });
+
 const CONFIG = {
-    DISCORD_TOKEN: process.env.DISCORD_TOKEN || process.env.DISCORD_BOT_TOKEN,
+    DISCORD_TOKEN: wiredConfig.discord.botToken,
     // Channels are set dynamically based on instance
     TARS_CHANNEL_ID: process.env.TARS_CHANNEL_ID,
     ROMILLY_CHANNEL_ID: process.env.ROMILLY_CHANNEL_ID,
-    ALLOWED_USER_ID: process.env.ALLOWED_USER_ID,
+    ALLOWED_USER_ID: wiredConfig.discord.allowedUserId,
+    DAEMON_URL: process.env.WIRED_DAEMON_URL,
+    DAEMON_TOKEN: process.env.WIRED_DAEMON_TOKEN,
+    INSTANCE: process.env.WIRED_INSTANCE ? parseInt(process.env.WIRED_INSTANCE) : null,
 };
 
-// ============ MESSAGE QUEUES (per channel type) ============
-const messageQueues = {
-    tars: [],
-    romilly: [],
-};
-const waitingResolvers = {
-    tars: null,
-    romilly: null,
+// send_reply uploads only from the policy workspace (Claude's cwd, WIRED's root, by default)
+// and the inbound attachments; the config and policy files hold secrets and rules
+const WIRED_ROOT = join(__dirname, '..', '..');
+const uploadPolicy = loadPolicyOrExit('WIRED-GATEWAY', wiredConfig.policy.file, { cwd: WIRED_ROOT });
+const UPLOADS = {
+    roots: [...uploadPolicy.workspace, attachmentDir(wiredConfig.paths.dataDir, CONFIG.INSTANCE)],
+    exclude: [configFile, wiredConfig.policy.file].filter(Boolean),
 };
 
+// gateway.jsonl next to the daemon's log; console output stays on stderr
+const log = createLogger({
+    dir: logDir(wiredConfig.paths.dataDir, CONFIG.INSTANCE),
+    file: 'gateway',
+    component: 'gateway',
+    instance: CONFIG.INSTANCE,
+    label: 'WIRED-GATEWAY',
+    ...wiredConfig.logging,
+    console: 'stderr',
+});
+
+// ============ MESSAGE QUEUES (standalone) ============
+// Same queueing and waiter rules as the daemon's router; messages are acked
+// as soon as wait_for_message returns them.
+const localRouter = createRouter({ instanceNumber: CONFIG.INSTANCE, log, mode: 'mcp', writeStdin: () => false });
+
+// wait_for_message calls in progress, by channel_type (both modes)
+const openWaits = Object.fromEntries(WAIT_CHANNELS.map(c => [c, 0]));
+
 // ============ DISCORD CLIENT ============
 const discord = new Client({
     intents: [
@@ -60,45 +105,71 @@ const discord = new Client({
 let isReady = false;
 const channelCache = {};
 
+// ============ CHANNEL HISTORY ============
+// Bot posts (TARS replies, ROMILLY audits) count too, so every message event feeds the cache
+const history = createHistory({
+    getChannel: type => channelCache[type] || null,
+    log,
+    maxCached: wiredConfig.history.maxCached,
+    scanLimit: wiredConfig.history.searchScanLimit,
+});
+discord.on('messageCreate', msg => history.record(msg));
+discord.on('messageUpdate', (_, msg) => { if (!msg.partial) history.record(msg); });
+discord.on('messageDelete', msg => history.forget(msg));
+// Events missed while disconnected would leave gaps
+discord.on('shardResume', () => history.reset());
+
+const progress = createProgress({
+    getChannel: type => channelCache[type] || null,
+    filePath: progressFile(wiredConfig.paths.dataDir, CONFIG.INSTANCE),
+    minIntervalMs: wiredConfig.progress.minIntervalMs,
+    instanceNumber: CONFIG.INSTANCE,
+    log,
+});
+
+// A message of ours in a WIRED channel, for edit_message / delete_message
+async function fetchOwnMessage(channelType, messageId) {
+    const channel = channelCache[channelType];
+    if (!channel) throw new Error(`No ${channelType} channel`);
+    const msg = await channel.messages.fetch(messageId);
+    if (msg.author.id !== discord.user.id) throw new Error(`Message ${messageId} was not sent by WIRED`);
+    return msg;
+}
+
 discord.on('ready', async () => {
-    console.error(`[WIRED-GATEWAY] Discord connected as ${discord.user.tag}`);
+    log.info(`Discord connected as ${discord.user.tag}`);
 
     // Cache channels
     if (CONFIG.TARS_CHANNEL_ID) {
         try {
             channelCache.tars = await discord.channels.fetch(CONFIG.TARS_CHANNEL_ID);
-            console.error(`[WIRED-GATEWAY] TARS channel: #${channelCache.tars?.name}`);
+            log.info(`TARS channel: #${channelCache.tars?.name}`);
         } catch (err) {
-            console.error(`[WIRED-GATEWAY] Could not fetch TARS channel: ${err.message}`);
+            log.warn(`Could not fetch TARS channel: ${err.message}`);
         }
     }
 
     if (CONFIG.ROMILLY_CHANNEL_ID) {
         try {
             channelCache.romilly = await discord.channels.fetch(CONFIG.ROMILLY_CHANNEL_ID);
-            console.error(`[WIRED-GATEWAY] ROMILLY channel: #${channelCache.romilly?.name}`);
+            log.info(`ROMILLY channel: #${channelCache.romilly?.name}`);
         } catch (err) {
-            console.error(`[WIRED-GATEWAY] Could not fetch ROMILLY channel: ${err.message}`);
+            log.warn(`Could not fetch ROMILLY channel: ${err.message}`);
         }
     }
 
     isReady = true;
-    console.error(`[WIRED-GATEWAY] Ready for TARS and ROMILLY messages`);
+    log.info(`Ready for TARS and ROMILLY messages`);
 });
 
-discord.on('messageCreate', async (msg) => {
+// One message at a time per channel, so a download never lets a later message overtake
+const inbound = createArrivalQueue({ onError: e => log.error(`Inbound message failed: ${e.message}`) });
+
+discord.on('messageCreate', (msg) => {
+    if (CONFIG.DAEMON_URL) return; // Daemon router owns inbound messages
     if (msg.author.bot) return;
     if (CONFIG.ALLOWED_USER_ID && msg.author.id !== CONFIG.ALLOWED_USER_ID) return;
 
-    const messageData = {
-        user: msg.author.username,
-        userId: msg.author.id,
-        content: msg.content,
-        channel: msg.channel.name,
-        channelId: msg.channel.id,
-        timestamp: msg.createdAt.toISOString(),
-    };
-
     // Route to appropriate queue
     let channelType = null;
     if (msg.channel.id === CONFIG.TARS_CHANNEL_ID) {
@@ -109,20 +180,126 @@ discord.on('messageCreate', async (msg) => {
         return; // Ignore other channels
     }
 
-    console.error(`[WIRED-GATEWAY] ${channelType.toUpperCase()} message from ${messageData.user}: ${messageData.content.slice(0, 50)}`);
-
-    if (waitingResolvers[channelType]) {
-        const resolver = waitingResolvers[channelType];
-        waitingResolvers[channelType] = null;
-        resolver(messageData);
-    } else {
-        messageQueues[channelType].push(messageData);
-    }
-
     // Update channel cache for replies
     channelCache[channelType] = msg.channel;
+
+    inbound(msg.channel.id, async () => {
+        const meta = {
+            user: msg.author.username,
+            userId: msg.author.id,
+            channel: msg.channel.name,
+            channelId: msg.channel.id,
+        };
+        if (msg.attachments.size > 0) {
+            meta.attachments = await saveInboundAttachments(msg, attachmentDir(wiredConfig.paths.dataDir, CONFIG.INSTANCE), {
+                maxBytes: wiredConfig.attachments.maxBytes,
+            });
+        }
+
+        log.info(`${channelType.toUpperCase()} message from ${meta.user}: ${msg.content.slice(0, 50)}`);
+        localRouter.route({ source: 'LAIN', channel: channelType, content: msg.content, origin: `discord:${msg.id}`, meta });
+    });
 });
 
+// ============ DAEMON ROUTER CLIENT ============
+// Long-poll the daemon for the next routed message and ack it once it is
+// handed to Claude. Unacked messages are redelivered by the daemon.
+const ROUTER_POLL_SECONDS = 25;
+const ROUTER_RETRY_MS = 2000;
+
+function daemonHeaders(extra = {}) {
+    return { Authorization: `Bearer ${CONFIG.DAEMON_TOKEN}`, ...extra };
+}
+
+async function ackRoutedMessage(id) {
+    try {
+        await fetch(`${CONFIG.DAEMON_URL}/messages/ack`, {
+            method: 'POST',
+            headers: daemonHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ id }),
+        });
+    } catch (err) {
+        log.warn(`Ack failed for ${id}: ${err.message}`);
+    }
+}
+
+// Push open waits to the daemon's GET /metrics (the daemon's router owns the queues)
+const METRICS_REPORT_MS = 15000;
+let repliesSent = 0;
+
+async function reportMetrics() {
+    try {
+        await fetch(`${CONFIG.DAEMON_URL}/metrics/report`, {
+            method: 'POST',
+            headers: daemonHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                waits: openWaits,
+                discord_connected: isReady,
+                replies_sent: repliesSent,
+            }),
+        });
+    } catch (err) {
+        // Daemon restarting - the next report will catch up
+    }
+}
+
+// Aborting (MCP request cancelled) closes the poll, so the daemon drops the waiter
+async function pullRoutedMessage(channelType, timeoutSeconds, filter = {}, signal = null) {
+    const deadline = timeoutSeconds > 0 ? Date.now() + timeoutSeconds * 1000 : Infinity;
+    const query = new URLSearchParams({ channel: channelType });
+    if (filter.author) query.set('author', filter.author);
+    if (filter.prefix) query.set('prefix', filter.prefix);
+
+    while (Date.now() < deadline && !signal?.aborted) {
+        const wait = Math.max(1, Math.min(ROUTER_POLL_SECONDS, Math.ceil((deadline - Date.now()) / 1000)));
+        query.set('wait', wait);
+        try {
+            const res = await fetch(`${CONFIG.DAEMON_URL}/messages/next?${query}`, {
+                headers: daemonHeaders(),
+                signal,
+            });
+            if (res.status === 200) {
+                const msg = await res.json();
+                // stdin deliveries are acked by the daemon; this is only a wake-up notice
+                if (msg.delivered_via !== 'stdin') await ackRoutedMessage(msg.id);
+                return msg;
+            }
+            if (res.status !== 204) throw new Error(`HTTP ${res.status}`);
+        } catch (err) {
+            if (signal?.aborted) break;
+            log.warn(`Router poll failed: ${err.message}`);
+            await new Promise(resolve => setTimeout(resolve, ROUTER_RETRY_MS));
+        }
+    }
+    return null;
+}
+
+// Open an approval request and poll until the daemon has a decision
+async function requestApproval(args) {
+    const res = await fetch(`${CONFIG.DAEMON_URL}/approvals`, {
+        method: 'POST',
+        headers: daemonHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ tool_name: args?.tool_name, input: args?.input || {}, tool_use_id: args?.tool_use_id || null }),
+    });
+    if (res.status !== 200) throw new Error(`HTTP ${res.status}`);
+    let request = await res.json();
+
+    while (!request.decision) {
+        try {
+            const poll = await fetch(`${CONFIG.DAEMON_URL}/approvals/${request.id}?wait=${ROUTER_POLL_SECONDS}`, {
+                headers: daemonHeaders(),
+            });
+            if (poll.status === 404) return { ...request, decision: 'deny', reason: 'request lost (daemon restarted)' };
+            if (poll.status !== 200) throw new Error(`HTTP ${poll.status}`);
+            request = await poll.json();
+        } catch (err) {
+            log.warn(`Approval poll failed: ${err.message}`);
+            await new Promise(resolve => setTimeout(resolve, ROUTER_RETRY_MS));
+        }
+    }
+    return request;
+}
+
 // ============ MCP SERVER ============
 const server = new Server(
     { name: 'wired-gateway', version: '1.0.0' },
@@ -141,8 +318,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     properties: {
                         channel_type: {
                             type: 'string',
-                            enum: ['tars', 'romilly'],
-                            description: 'Which channel to listen on (tars or romilly)',
+                            enum: WAIT_CHANNELS,
+                            description: 'Which channel to listen on (tars, romilly, or any = the first message from either)',
                             default: 'tars',
                         },
                         timeout_seconds: {
@@ -150,6 +327,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                             description: 'Timeout in seconds (0 = wait forever)',
                             default: 0,
                         },
+                        author: {
+                            type: 'string',
+                            description: 'Only messages from this sender: source (LAIN, COOPER, ROMILLY), Discord user name or user ID',
+                        },
+                        prefix: {
+                            type: 'string',
+                            description: 'Only messages whose content starts with this text',
+                        },
                     },
                 },
             },
@@ -169,10 +354,148 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                             description: 'Which channel to send to (tars or romilly)',
                             default: 'tars',
                         },
+                        attachments: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Local file paths to upload with the message (reports, charts, code; up to 10)',
+                        },
+                        embed: {
+                            type: 'object',
+                            description: 'Structured content shown as a Discord embed, below the message',
+                            properties: {
+                                title: { type: 'string' },
+                                description: { type: 'string', description: 'Markdown, up to 4096 characters' },
+                                url: { type: 'string' },
+                                color: { type: 'string', description: 'Side bar color, #rrggbb' },
+                                fields: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            name: { type: 'string' },
+                                            value: { type: 'string' },
+                                            inline: { type: 'boolean' },
+                                        },
+                                        required: ['name', 'value'],
+                                    },
+                                },
+                                footer: { type: 'string' },
+                            },
+                        },
                     },
                     required: ['message'],
                 },
             },
+            {
+                name: 'edit_message',
+                description: 'Edit a message WIRED sent (message_id from send_reply).',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        message_id: { type: 'string', description: 'ID of the message to edit' },
+                        message: { type: 'string', description: 'New text (one Discord message, up to 1900 characters)' },
+                        embed: { type: 'object', description: 'New embed, same fields as in send_reply; null removes it' },
+                        channel_type: { type: 'string', enum: ['tars', 'romilly'], default: 'tars' },
+                    },
+                    required: ['message_id'],
+                },
+            },
+            {
+                name: 'delete_message',
+                description: 'Delete a message WIRED sent.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        message_id: { type: 'string', description: 'ID of the message to delete' },
+                        channel_type: { type: 'string', enum: ['tars', 'romilly'], default: 'tars' },
+                    },
+                    required: ['message_id'],
+                },
+            },
+            {
+                name: 'react',
+                description: 'Add an emoji reaction to a message, e.g. 👀 to acknowledge a request.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        message_id: { type: 'string', description: 'ID of the message' },
+                        emoji: { type: 'string', description: 'Unicode emoji or a custom emoji as name:id' },
+                        channel_type: { type: 'string', enum: ['tars', 'romilly'], default: 'tars' },
+                    },
+                    required: ['message_id', 'emoji'],
+                },
+            },
+            {
+                name: 'progress',
+                description: 'Show progress of a long task in one pinned message that is updated in place instead of posting a new message per step. Finish with state done or failed.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task: { type: 'string', description: 'Task name; the same name updates the same message' },
+                        status: { type: 'string', description: 'What is happening now' },
+                        step: { type: 'number', description: 'Current step' },
+                        total: { type: 'number', description: 'Number of steps (shows a progress bar)' },
+                        state: { type: 'string', enum: PROGRESS_STATES, default: 'running' },
+                        channel_type: { type: 'string', enum: ['tars', 'romilly'], default: 'tars' },
+                    },
+                    required: ['task'],
+                },
+            },
+            {
+                name: 'fetch_history',
+                description: 'Read earlier messages of a WIRED channel, oldest first - e.g. instructions from Lain or ROMILLY audits from before a restart or context compaction.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        channel_type: {
+                            type: 'string',
+                            enum: ['tars', 'romilly'],
+                            description: 'Which channel to read',
+                            default: 'tars',
+                        },
+                        limit: {
+                            type: 'number',
+                            description: 'Number of messages (1-100)',
+                            default: 25,
+                        },
+                        before: {
+                            type: 'string',
+                            description: 'Only messages older than this message ID (page back with the oldest ID of the last result)',
+                        },
+                    },
+                },
+            },
+            {
+                name: 'search_messages',
+                description: 'Search the WIRED channels for messages containing text, newest first.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        query: {
+                            type: 'string',
+                            description: 'Text to find in content, embeds or attachment names (case-insensitive); may be empty with author or since',
+                        },
+                        author: {
+                            type: 'string',
+                            description: 'Discord user name or user ID',
+                        },
+                        since: {
+                            type: 'string',
+                            description: 'Only messages after this ISO date or age (30m, 2h, 7d)',
+                        },
+                        channel_type: {
+                            type: 'string',
+                            enum: ['tars', 'romilly', 'any'],
+                            default: 'any',
+                        },
+                        limit: {
+                            type: 'number',
+                            description: 'Most matches returned (1-100)',
+                            default: 25,
+                        },
+                    },
+                },
+            },
             {
                 name: 'get_status',
                 description: 'Get the current status of the WIRED Gateway.',
@@ -199,52 +522,57 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     required: ['target_host', 'target_path'],
                 },
             },
+            {
+                name: 'approve_tool',
+                description: 'Permission prompt used by Claude Code (--permission-prompt-tool). Asks a human in Discord whether a tool call may run. Do not call it directly.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        tool_name: { type: 'string', description: 'Tool that needs permission' },
+                        input: { type: 'object', description: 'Input of the tool call' },
+                        tool_use_id: { type: 'string', description: 'ID of the tool call' },
+                    },
+                    required: ['tool_name', 'input'],
+                },
+            },
         ],
     };
 });
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
 
     if (name === 'wait_for_message') {
         const channelType = args?.channel_type || 'tars';
-        console.error(`[WIRED-GATEWAY] wait_for_message(${channelType}), queue: ${messageQueues[channelType].length}`);
-
-        // Return queued message if available
-        if (messageQueues[channelType].length > 0) {
-            const msg = messageQueues[channelType].shift();
-            console.error(`[WIRED-GATEWAY] Returning queued ${channelType} message from ${msg.user}`);
-            return { content: [{ type: 'text', text: JSON.stringify(msg) }] };
-        }
-
-        // Wait for next message
-        console.error(`[WIRED-GATEWAY] Waiting for ${channelType} message...`);
-
         const timeoutSeconds = args?.timeout_seconds || 0;
+        const filter = { author: args?.author || null, prefix: args?.prefix || null };
+        const described = `${channelType}${filter.author ? `, author ${filter.author}` : ''}${filter.prefix ? `, prefix "${filter.prefix}"` : ''}`;
+        if (!WAIT_CHANNELS.includes(channelType)) {
+            return { content: [{ type: 'text', text: `Error: channel_type must be one of ${WAIT_CHANNELS.join(', ')}` }] };
+        }
 
-        const messagePromise = new Promise((resolve) => {
-            waitingResolvers[channelType] = resolve;
-        });
-
-        if (timeoutSeconds > 0) {
-            const timeoutPromise = new Promise((resolve) => {
-                setTimeout(() => {
-                    if (waitingResolvers[channelType]) {
-                        waitingResolvers[channelType] = null;
-                        resolve(null);
-                    }
-                }, timeoutSeconds * 1000);
-            });
-
-            const result = await Promise.race([messagePromise, timeoutPromise]);
-            if (result === null) {
-                return { content: [{ type: 'text', text: JSON.stringify({ timeout: true, channel_type: channelType }) }] };
+        let result;
+        openWaits[channelType]++;
+        try {
+            if (CONFIG.DAEMON_URL) {
+                log.info(`wait_for_message(${described}) via daemon router`);
+                result = await pullRoutedMessage(channelType, timeoutSeconds, filter, extra?.signal);
+            } else {
+                log.info(`wait_for_message(${described}), queued: ${JSON.stringify(localRouter.stats().pending)}`);
+                result = await localRouter.next(channelType, timeoutSeconds * 1000, extra?.signal, filter);
+                if (result) localRouter.ack(result.id);
             }
-            return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+        } finally {
+            openWaits[channelType]--;
         }
 
-        const result = await messagePromise;
+        if (extra?.signal?.aborted) {
+            log.info(`wait_for_message(${described}) cancelled`);
+        }
+        if (result === null) {
+            return { content: [{ type: 'text', text: JSON.stringify({ timeout: true, channel_type: channelType }) }] };
+        }
         return { content: [{ type: 'text', text: JSON.stringify(result) }] };
     }
 
@@ -263,20 +591,142 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const message = args?.message || '';
 
         try {
-            // Split long messages
-            const chunks = [];
-            let remaining = message;
-            while (remaining.length > 0) {
-                chunks.push(remaining.slice(0, 1900));
-                remaining = remaining.slice(1900);
+            const files = prepareUploads(args?.attachments || [], { maxBytes: wiredConfig.attachments.maxUploadBytes, ...UPLOADS });
+            const embeds = args?.embed ? [buildEmbed(args.embed)] : [];
+            const { payloads, asFile } = renderMessage(message, {
+                maxChunks: wiredConfig.render.maxChunks,
+                files,
+                embeds,
+                fileName: `reply-${Date.now()}.md`,
+            });
+            if (payloads.length === 0) {
+                return { content: [{ type: 'text', text: 'Error: nothing to send (empty message, no attachments or embed)' }] };
+            }
+
+            const messageIds = [];
+            for (const payload of payloads) {
+                messageIds.push((await targetChannel.send(payload)).id);
+            }
+            repliesSent++;
+
+            const extras = [
+                asFile && 'sent as a .md file',
+                files.length && `with ${files.map(f => f.name).join(', ')}`,
+                embeds.length && 'with an embed',
+            ].filter(Boolean);
+            log.info(`Sent to ${channelType} (${payloads.length} messages${extras.length ? `, ${extras.join(', ')}` : ''}): ${message.slice(0, 50)}...`);
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        sent_to: `#${targetChannel.name}`,
+                        message_id: messageIds[0],
+                        message_ids: messageIds,
+                        ...(extras.length ? { note: extras.join(', ') } : {}),
+                    }),
+                }],
+            };
+        } catch (error) {
+            return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+        }
+    }
+
+    if (name === 'edit_message' || name === 'delete_message' || name === 'react') {
+        if (!isReady) {
+            return { content: [{ type: 'text', text: 'Discord not connected yet.' }] };
+        }
+        const channelType = args?.channel_type || 'tars';
+        const messageId = args?.message_id;
+        if (!messageId) {
+            return { content: [{ type: 'text', text: 'Error: message_id is required' }] };
+        }
+
+        try {
+            if (name === 'react') {
+                const channel = channelCache[channelType];
+                if (!channel) throw new Error(`No ${channelType} channel`);
+                const msg = await channel.messages.fetch(messageId);
+                await msg.react(args?.emoji);
+                log.info(`Reacted ${args?.emoji} to ${messageId}`);
+                return { content: [{ type: 'text', text: `Reacted ${args?.emoji} to ${messageId}` }] };
             }
 
-            for (const chunk of chunks) {
-                await targetChannel.send(chunk);
+            const msg = await fetchOwnMessage(channelType, messageId);
+            if (name === 'delete_message') {
+                await msg.delete();
+                log.info(`Deleted ${messageId} in ${channelType}`);
+                return { content: [{ type: 'text', text: `Deleted ${messageId}` }] };
             }
 
-            console.error(`[WIRED-GATEWAY] Sent to ${channelType}: ${message.slice(0, 50)}...`);
-            return { content: [{ type: 'text', text: `Sent to #${targetChannel.name}` }] };
+            const edit = {};
+            if (args?.message !== undefined) {
+                const chunks = splitMessage(args.message);
+                if (chunks.length > 1) throw new Error(`message is too long for one Discord message (${args.message.length} characters)`);
+                edit.content = chunks[0] || '';
+            }
+            if (args?.embed !== undefined) edit.embeds = args.embed ? [buildEmbed(args.embed)] : [];
+            if (Object.keys(edit).length === 0) throw new Error('give message and/or embed');
+            await msg.edit(edit);
+            log.info(`Edited ${messageId} in ${channelType}`);
+            return { content: [{ type: 'text', text: `Edited ${messageId}` }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+        }
+    }
+
+    if (name === 'progress') {
+        if (!isReady) {
+            return { content: [{ type: 'text', text: 'Discord not connected yet.' }] };
+        }
+        if (!args?.task) {
+            return { content: [{ type: 'text', text: 'Error: task is required' }] };
+        }
+        try {
+            const result = await progress.update(String(args.task).slice(0, 100), {
+                status: args?.status || '',
+                step: Number.isFinite(args?.step) ? args.step : null,
+                total: Number.isFinite(args?.total) ? args.total : null,
+                state: args?.state || 'running',
+                channelType: args?.channel_type || 'tars',
+            });
+            return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+        }
+    }
+
+    if (name === 'fetch_history') {
+        if (!isReady) {
+            return { content: [{ type: 'text', text: 'Discord not connected yet.' }] };
+        }
+        const channelType = args?.channel_type || 'tars';
+        const limit = Math.min(Math.max(parseInt(args?.limit) || 25, 1), 100);
+        try {
+            const messages = await history.fetchHistory(channelType, { limit, before: args?.before || null });
+            log.info(`fetch_history(${channelType}, ${limit}${args?.before ? `, before ${args.before}` : ''}): ${messages.length}`);
+            return { content: [{ type: 'text', text: JSON.stringify({ channel_type: channelType, count: messages.length, messages }) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+        }
+    }
+
+    if (name === 'search_messages') {
+        if (!isReady) {
+            return { content: [{ type: 'text', text: 'Discord not connected yet.' }] };
+        }
+        const query = args?.query || '';
+        if (!query && !args?.author && !args?.since) {
+            return { content: [{ type: 'text', text: 'Error: give a query, an author or since' }] };
+        }
+        try {
+            const result = await history.search(query, {
+                author: args?.author || null,
+                since: args?.since ? parseSince(args.since) : null,
+                channelType: args?.channel_type || 'any',
+                limit: Math.min(Math.max(parseInt(args?.limit) || 25, 1), 100),
+            });
+            log.info(`search_messages("${query}"): ${result.total} of ${result.scanned} scanned`);
+            return { content: [{ type: 'text', text: JSON.stringify(result) }] };
         } catch (error) {
             return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
         }
@@ -291,8 +741,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     discord_user: discord.user?.tag || null,
                     tars_channel: channelCache.tars?.name || null,
                     romilly_channel: channelCache.romilly?.name || null,
-                    tars_queue: messageQueues.tars.length,
-                    romilly_queue: messageQueues.romilly.length,
+                    routed_by_daemon: Boolean(CONFIG.DAEMON_URL),
+                    tars_queue: localRouter.stats().pending.tars,
+                    romilly_queue: localRouter.stats().pending.romilly,
+                    waiters: localRouter.stats().waiters,
+                    history: history.stats(),
+                    progress: progress.stats(),
                 }),
             }],
         };
@@ -304,7 +758,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
         // This would trigger an SSH command or API call to start WIRED on the target
         // Then gracefully shutdown this instance
-        console.error(`[WIRED-GATEWAY] Migration requested: ${targetHost}:${targetPath}`);
+        log.info(`Migration requested: ${targetHost}:${targetPath}`);
 
         // Write migration marker file
         const migrationData = {
@@ -314,7 +768,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             source_host: require('os').hostname(),
         };
 
-        const migrationPath = join(process.env.WIRED_INSTANCE_DIR || '/tmp', 'wired-migration.json');
+        const migrationPath = join(wiredConfig.paths.instanceDir, 'wired-migration.json');
         fs.writeFileSync(migrationPath, JSON.stringify(migrationData, null, 2));
 
         return {
@@ -330,26 +784,51 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
     }
 
+    if (name === 'approve_tool') {
+        // Answer format of --permission-prompt-tool: allow (with the input to use) or deny
+        let answer;
+        if (!CONFIG.DAEMON_URL) {
+            answer = { behavior: 'deny', message: 'Approvals need the WIRED daemon.' };
+        } else {
+            try {
+                log.info(`approve_tool(${args?.tool_name}) waiting for a decision`);
+                const request = await requestApproval(args);
+                answer = request.decision === 'allow'
+                    ? { behavior: 'allow', updatedInput: args?.input || {} }
+                    : { behavior: 'deny', message: `Denied by ${request.by || 'WIRED'}${request.reason ? `: ${request.reason}` : ''}` };
+            } catch (err) {
+                log.warn(`Approval request failed: ${err.message}`);
+                answer = { behavior: 'deny', message: `Approval request failed: ${err.message}` };
+            }
+        }
+        return { content: [{ type: 'text', text: JSON.stringify(answer) }] };
+    }
+
     return { content: [{ type: 'text', text: `Unknown tool: ${name}` }] };
 });
 
 // ============ STARTUP ============
 async function main() {
     if (!CONFIG.DISCORD_TOKEN) {
-        console.error('[WIRED-GATEWAY] ERROR: DISCORD_TOKEN not set');
+        log.error('DISCORD_TOKEN not set');
         process.exit(1);
     }
 
-    console.error('[WIRED-GATEWAY] Connecting to Discord...');
+    log.info('Connecting to Discord...');
     await discord.login(CONFIG.DISCORD_TOKEN);
 
-    console.error('[WIRED-GATEWAY] Starting MCP server...');
+    log.info('Starting MCP server...');
     const transport = new StdioServerTransport();
     await server.connect(transport);
-    console.error('[WIRED-GATEWAY] MCP server running on stdio');
+    log.info('MCP server running on stdio');
+
+    if (CONFIG.DAEMON_URL) {
+        setInterval(reportMetrics, METRICS_REPORT_MS).unref();
+        reportMetrics();
+    }
 }
 
 main().catch((err) => {
-    console.error(`[WIRED-GATEWAY] Fatal: ${err.message}`);
+    log.error(`Fatal: ${err.message}`);
     process.exit(1);
 });
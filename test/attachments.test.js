@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { prepareUploads } from '../core/attachments.js';
+
+let base;
+let workspace;
+const opts = () => ({ maxBytes: 1024, roots: [workspace], exclude: [join(workspace, 'wired.config.json')], cwd: workspace });
+
+before(() => {
+    base = fs.mkdtempSync(join(os.tmpdir(), 'wired-uploads-'));
+    workspace = join(base, 'workspace');
+    fs.mkdirSync(join(workspace, 'out'), { recursive: true });
+    fs.writeFileSync(join(workspace, 'out', 'report.md'), '# report');
+    fs.writeFileSync(join(workspace, '.env'), 'DISCORD_BOT_TOKEN=secret');
+    fs.writeFileSync(join(workspace, 'wired.config.json'), '{}');
+    fs.writeFileSync(join(base, 'secret.txt'), 'secret');
+    fs.symlinkSync(join(base, 'secret.txt'), join(workspace, 'out', 'link.txt'));
+});
+
+after(() => fs.rmSync(base, { recursive: true, force: true }));
+
+test('files inside the workspace are uploaded', () => {
+    const [file] = prepareUploads(['out/report.md'], opts());
+    assert.equal(file.name, 'report.md');
+    assert.equal(file.attachment, fs.realpathSync(join(workspace, 'out', 'report.md')));
+});
+
+test('../ paths leaving the workspace are rejected', () => {
+    assert.throws(() => prepareUploads(['../secret.txt'], opts()), /outside the upload directories/);
+});
+
+test('absolute paths outside the workspace are rejected', () => {
+    assert.throws(() => prepareUploads([join(base, 'secret.txt')], opts()), /outside the upload directories/);
+    assert.throws(() => prepareUploads(['/etc/hostname'], opts()), /outside the upload directories|no such file/);
+});
+
+test('symlinks pointing out of the workspace are rejected', () => {
+    assert.throws(() => prepareUploads(['out/link.txt'], opts()), /outside the upload directories/);
+});
+
+test('hidden and configuration files are rejected', () => {
+    assert.throws(() => prepareUploads(['.env'], opts()), /not uploaded/);
+    assert.throws(() => prepareUploads(['wired.config.json'], opts()), /not uploaded/);
+});
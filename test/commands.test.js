@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canControl } from '../core/commands.js';
+
+function interaction(userId, roleIds = []) {
+    return { user: { id: userId }, member: { roles: roleIds } };
+}
+
+test('nobody may control an instance when no user or role is configured', () => {
+    assert.equal(canControl(interaction('123', ['456']), { allowedUserId: '', roleId: '' }), false);
+});
+
+test('the allowed user and members with the command role may control an instance', () => {
+    assert.equal(canControl(interaction('123'), { allowedUserId: '123', roleId: '' }), true);
+    assert.equal(canControl(interaction('999', ['456']), { allowedUserId: '123', roleId: '456' }), true);
+    assert.equal(canControl(interaction('999', ['789']), { allowedUserId: '123', roleId: '456' }), false);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createSupervisor } from '../core/supervisor.js';
+import { createLivenessTracker } from '../core/liveness.js';
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function fakeChild() {
+    const child = new EventEmitter();
+    child.pid = 4242;
+    child.kill = () => setImmediate(() => child.emit('close', null, 'SIGTERM'));
+    return child;
+}
+
+/** A supervised Claude with liveness wired the way core/instance.js wires it. */
+function setup() {
+    let spawns = 0;
+    const supervisor = createSupervisor({ name: 'claude', log, start: () => { spawns++; return fakeChild(); } });
+    const liveness = createLivenessTracker({
+        log,
+        policy: { checkIntervalMs: 60000, nudgeAfterMs: 0, restartAfterMs: 1 },
+        onNudge: () => {},
+        onRestart: () => supervisor.restartNow(),
+        active: () => supervisor.stats().state === 'running',
+    });
+    supervisor.start();
+    return { supervisor, liveness, spawns: () => spawns };
+}
+
+test('a stalled running session is restarted', async () => {
+    const { supervisor, liveness, spawns } = setup();
+    await sleep(5);
+    liveness.check();
+    assert.equal(spawns(), 2);
+    assert.equal(liveness.stats().stall_restarts, 1);
+    supervisor.stop();
+});
+
+test('a parked session is not restarted by a stall', async () => {
+    const { supervisor, liveness, spawns } = setup();
+    supervisor.park('policy rule "no-rm"');
+    await sleep(5);
+    liveness.check();
+    assert.equal(spawns(), 1);
+    assert.equal(supervisor.stats().state, 'parked');
+    assert.equal(liveness.stats().stall_restarts, 0);
+    supervisor.stop();
+});
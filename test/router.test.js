@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter } from '../core/router.js';
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+function stdinRouter() {
+    const written = [];
+    const router = createRouter({ instanceNumber: 1, log, mode: 'stdin', writeStdin: (text) => { written.push(text); return true; } });
+    return { router, written };
+}
+
+test('a wait started after a stdin delivery gets the notice at once', async () => {
+    const { router, written } = stdinRouter();
+    const { id } = router.route({ source: 'LAIN', content: 'hello' });
+    assert.equal(written.length, 1);
+
+    const notice = await router.next('tars', 60000);
+    assert.equal(notice.id, id);
+    assert.equal(notice.delivered_via, 'stdin');
+
+    // The notice is given once; the next wait blocks until its timeout
+    assert.equal(await router.next('tars', 20), null);
+});
+
+test('one notice covers every stdin delivery since the last wait', async () => {
+    const { router } = stdinRouter();
+    router.route({ source: 'LAIN', content: 'one' });
+    const { id } = router.route({ source: 'COOPER', content: 'two' });
+
+    const notice = await router.next('tars', 60000);
+    assert.equal(notice.id, id);
+    assert.match(notice.note, /1 earlier one/);
+});
+
+test('a waiter registered before the delivery is woken by it', async () => {
+    const { router } = stdinRouter();
+    const waiting = router.next('tars', 60000);
+    const { id } = router.route({ source: 'LAIN', content: 'hello' });
+    assert.equal((await waiting).id, id);
+    assert.equal(await router.next('tars', 20), null);
+});